@@ -4,43 +4,38 @@
  * Handles:
  * - Precaching of core shell
  * - Runtime caching strategies
- * - Background Sync for failed requests
+ * - Background Sync: drains the IndexedDB media queue and operations outbox
+ *   with the same pipeline as the page (src/sync.js), so uploads and edits
+ *   continue after the tab closes
  * 
- * Note: This file uses importScripts for Workbox in the service worker context.
- * Vite's injectManifest strategy will inject the precache manifest at build time.
+ * Note: This file is bundled by vite-plugin-pwa (injectManifest), which
+ * resolves the ES imports below and injects the precache manifest at build time.
+ * In development it is served as a module worker (devOptions in vite.config.js).
  */
 
-importScripts('https://storage.googleapis.com/workbox-cdn/releases/7.0.0/workbox-sw.js');
-
-const { precacheAndRoute } = workbox.precaching;
-const { registerRoute } = workbox.routing;
-const { NetworkFirst, StaleWhileRevalidate, CacheFirst } = workbox.strategies;
-const { CacheableResponsePlugin } = workbox.cacheableResponse;
-const { ExpirationPlugin } = workbox.expiration;
-const { BackgroundSyncPlugin } = workbox.backgroundSync;
-const { setCatchHandler } = workbox.routing;
+import { precacheAndRoute } from 'workbox-precaching';
+import { registerRoute, setCatchHandler } from 'workbox-routing';
+import { NetworkFirst, NetworkOnly, StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { syncQueue, isUploadsPaused, MEDIA_SYNC_TAG } from '../src/sync.js';
+import { getPendingQueueItems, getAllOperations } from '../src/db.js';
+import { HEALTH_CHECK_URL } from '../src/api.js';
 
 // Precaching - Vite PWA plugin will inject the manifest here at build time
 precacheAndRoute(self.__WB_MANIFEST || []);
 
 // Runtime Caching Strategies
 
-// API requests - Network First with fallback
+// API requests and the health check - Network Only. Responses belong to the
+// signed-in user and drive sync decisions (dedup, resume, pull), so a cached
+// copy would be stale or another account's; offline data lives in IndexedDB.
+// A cached health check would also report a dead network as online.
+const healthCheckUrl = new URL(HEALTH_CHECK_URL, self.location.origin);
 registerRoute(
-  ({ url }) => url.pathname.startsWith('/api/'),
-  new NetworkFirst({
-    cacheName: 'api-cache',
-    plugins: [
-      new CacheableResponsePlugin({
-        statuses: [0, 200]
-      }),
-      new ExpirationPlugin({
-        maxEntries: 50,
-        maxAgeSeconds: 5 * 60, // 5 minutes
-        purgeOnQuotaError: true
-      })
-    ]
-  })
+  ({ url }) => url.pathname.startsWith('/api/') ||
+    (url.origin === healthCheckUrl.origin && url.pathname === healthCheckUrl.pathname),
+  new NetworkOnly()
 );
 
 // JSON data - Stale While Revalidate for better performance
@@ -96,56 +91,39 @@ registerRoute(
   })
 );
 
-// Background Sync for failed POST/PUT/DELETE requests
-const bgSyncPlugin = new BackgroundSyncPlugin('media-uploads', {
-  maxRetentionTime: 24 * 60, // Retry for up to 24 hours
-  onSync: async ({ queue }) => {
-    let entry;
-    while (entry = await queue.shiftRequest()) {
-      try {
-        const response = await fetch(entry.request);
-        if (response.ok) {
-          console.log('Background sync successful for:', entry.request.url);
-          
-          // Notify clients of successful sync
-          const clients = await self.clients.matchAll();
-          clients.forEach(client => {
-            client.postMessage({
-              type: 'SYNC_COMPLETE',
-              url: entry.request.url
-            });
-          });
-        } else {
-          throw new Error(`HTTP ${response.status}`);
-        }
-      } catch (error) {
-        console.error('Background sync failed for:', entry.request.url, error);
-        // Re-queue for retry
-        await queue.unshiftRequest(entry);
-      }
-    }
+// Background Sync - drain the media queue stored in IndexedDB
+
+/**
+ * Post a message to every open window
+ */
+async function postToClients(message) {
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage(message));
+}
+
+// Progress and status reach open tabs through sync.js's BroadcastChannel
+
+/**
+ * Send the outbox and upload everything that is due; reject while items
+ * remain so the browser schedules another sync event later
+ */
+async function drainMediaQueue() {
+  const result = await syncQueue();
+  await postToClients({ type: 'SYNC_COMPLETE', ...result });
+
+  // Paused uploads wait until they are resumed (which registers a new sync)
+  const uploads = (await isUploadsPaused()) ? [] : await getPendingQueueItems({ includeDeferred: true });
+  const operations = (await getAllOperations()).filter(op => op.status === 'pending');
+  if (uploads.length + operations.length > 0) {
+    throw new Error(`${uploads.length} uploads and ${operations.length} operations still pending`);
   }
-});
+}
 
-// Register background sync for media uploads
-// Workbox's BackgroundSyncPlugin automatically handles failed requests
-registerRoute(
-  ({ url, request }) => {
-    return (
-      (url.pathname.includes('/api/submissions') || url.pathname.includes('/api/media-uploads')) &&
-      ['POST', 'PUT'].includes(request.method)
-    );
-  },
-  new NetworkFirst({
-    cacheName: 'api-uploads',
-    plugins: [
-      bgSyncPlugin,
-      new CacheableResponsePlugin({
-        statuses: [0, 200]
-      })
-    ]
-  })
-);
+self.addEventListener('sync', (event) => {
+  if (event.tag === MEDIA_SYNC_TAG) {
+    event.waitUntil(drainMediaQueue());
+  }
+});
 
 // Fallback for offline navigation
 setCatchHandler(({ event }) => {
@@ -157,9 +135,13 @@ setCatchHandler(({ event }) => {
   }
 });
 
-// Skip waiting and claim clients on activate
+// Skip waiting and claim clients on activate; API responses cached by
+// earlier versions are deleted
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil(Promise.all([
+    caches.delete('api-cache'),
+    self.clients.claim()
+  ]));
 });
 
 // Handle install
@@ -1,145 +1,525 @@
 /**
  * API Client - Thin wrapper around fetch for Rails API
  * 
- * Handles authentication, error handling, and request formatting.
+ * Handles authentication (stored tokens, refresh on 401), error handling,
+ * and request formatting.
+ * Every POST/PUT carries an `Idempotency-Key` header so retried requests
+ * are not applied twice by the server. Uploads carry SHA-256 digests so the
+ * server can check that the bytes arrived intact.
  */
 
+import * as db from './db.js';
+import { generateId } from './utils.js';
+import { hashBlob, toBase64 } from './sha256.js';
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api';
 
 /**
- * Get authentication token
- * TODO: Replace with actual auth token retrieval (e.g., from localStorage, session, etc.)
+ * Lightweight endpoint probed by the connectivity monitor
+ */
+export const HEALTH_CHECK_URL = import.meta.env.VITE_HEALTH_CHECK_URL || `${API_BASE_URL}/health`;
+
+/**
+ * Auth tokens: { accessToken, refreshToken, expiresAt, user }
+ * Persisted in IndexedDB (settings store) so the service worker can read them.
+ * `undefined` means not loaded yet, `null` means logged out.
+ */
+const AUTH_SETTING_KEY = 'auth';
+let cachedTokens;
+let refreshPromise = null;
+let authListeners = [];
+
+/**
+ * Refresh this long before the access token expires
+ */
+const TOKEN_EXPIRY_MARGIN = 30 * 1000;
+
+/**
+ * Subscribe to auth changes (login, refresh, logout, refresh failure)
+ * The callback receives the current tokens or null.
  */
-function getAuthToken() {
-  // TODO: Implement actual token retrieval
-  // Example: return localStorage.getItem('auth_token');
-  return null;
+export function onAuthChange(callback) {
+  authListeners.push(callback);
+}
+
+function notifyAuthChange(tokens) {
+  authListeners.forEach(cb => cb(tokens));
 }
 
 /**
- * Create headers with authentication
+ * Get stored auth tokens
+ * @param {Object} [options] - { reload: true } to bypass the in-memory copy
+ *   (another tab or the service worker may have rotated them)
+ */
+export async function getAuthTokens({ reload = false } = {}) {
+  if (cachedTokens === undefined || reload) {
+    cachedTokens = (await db.getSetting(AUTH_SETTING_KEY)) || null;
+  }
+  return cachedTokens;
+}
+
+export async function saveAuthTokens(tokens) {
+  await db.setSetting(AUTH_SETTING_KEY, tokens);
+  cachedTokens = tokens;
+  notifyAuthChange(tokens);
+}
+
+export async function clearAuthTokens() {
+  await db.deleteSetting(AUTH_SETTING_KEY);
+  cachedTokens = null;
+  notifyAuthChange(null);
+}
+
+/**
+ * Convert a Rails token response into stored tokens
+ * Expected: { access_token, refresh_token, expires_in, user }
+ */
+export function tokensFromResponse(body, previous = null) {
+  return {
+    accessToken: body.access_token,
+    refreshToken: body.refresh_token || (previous && previous.refreshToken) || null,
+    expiresAt: body.expires_in ? Date.now() + body.expires_in * 1000 : null,
+    user: body.user || (previous && previous.user) || null
+  };
+}
+
+function isExpired(tokens) {
+  return Boolean(tokens.expiresAt) && Date.now() > tokens.expiresAt - TOKEN_EXPIRY_MARGIN;
+}
+
+/**
+ * Auth endpoints never trigger a refresh; login and refresh are sent without a token
+ */
+function isAuthEndpoint(endpoint) {
+  return endpoint.startsWith('/auth/');
+}
+
+function isPublicEndpoint(endpoint) {
+  return endpoint === '/auth/login' || endpoint === '/auth/refresh';
+}
+
+/**
+ * Exchange the refresh token for new tokens (rotating the refresh token)
+ * Concurrent callers share one request.
+ * @param {string|null} staleAccessToken - Token that was rejected or expired
+ * @returns {Promise<string|null>} New access token, or null if logged out
+ */
+export function refreshAccessToken(staleAccessToken) {
+  if (!refreshPromise) {
+    refreshPromise = performRefresh(staleAccessToken).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+async function performRefresh(staleAccessToken) {
+  const stored = await getAuthTokens({ reload: true });
+  if (!stored || !stored.refreshToken) {
+    return null;
+  }
+
+  // Someone else already refreshed
+  if (stored.accessToken !== staleAccessToken && !isExpired(stored)) {
+    return stored.accessToken;
+  }
+
+  const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: withIdempotencyKey(getHeaders()),
+    body: JSON.stringify({ refresh_token: stored.refreshToken })
+  });
+
+  if (!response.ok) {
+    // Lost a rotation race with another tab or the service worker
+    const current = await getAuthTokens({ reload: true });
+    if (current && current.refreshToken !== stored.refreshToken) {
+      return current.accessToken;
+    }
+
+    const error = await createApiError(response);
+    if (error.status >= 400 && error.status < 500) {
+      // Refresh token rejected: the session is over
+      await clearAuthTokens();
+      return null;
+    }
+    throw error;
+  }
+
+  const tokens = tokensFromResponse(await response.json(), stored);
+  await saveAuthTokens(tokens);
+  return tokens.accessToken;
+}
+
+/**
+ * fetch() against the API with the Authorization header
+ * Refreshes an expired access token up front, and on a 401 refreshes once
+ * and replays the request.
+ */
+async function authorizedFetch(endpoint, init = {}) {
+  const url = `${API_BASE_URL}${endpoint}`;
+  const withAuth = (accessToken) => ({
+    ...init,
+    headers: accessToken
+      ? { ...init.headers, 'Authorization': `Bearer ${accessToken}` }
+      : init.headers
+  });
+
+  const tokens = isPublicEndpoint(endpoint) ? null : await getAuthTokens();
+  const canRefresh = Boolean(tokens) && !isAuthEndpoint(endpoint);
+  let accessToken = tokens ? tokens.accessToken : null;
+
+  if (canRefresh && isExpired(tokens)) {
+    accessToken = await refreshAccessToken(accessToken);
+  }
+
+  const response = await fetch(url, withAuth(accessToken));
+  if (response.status !== 401 || !canRefresh) {
+    return response;
+  }
+
+  const refreshedToken = await refreshAccessToken(accessToken);
+  if (!refreshedToken) {
+    return response;
+  }
+  return fetch(url, withAuth(refreshedToken));
+}
+
+/**
+ * Create JSON request headers (Authorization is added by authorizedFetch)
  */
 function getHeaders(contentType = 'application/json') {
-  const headers = {
+  return {
     'Content-Type': contentType
   };
+}
 
-  const token = getAuthToken();
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
+/**
+ * Error thrown for non-2xx API responses
+ * Carries the HTTP status, the server's Retry-After (in ms) and the parsed error body.
+ */
+export class ApiError extends Error {
+  constructor(message, { status, retryAfter = null, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.body = body;
   }
+}
 
-  return headers;
+/**
+ * Error thrown when the server's digest of uploaded bytes differs from ours
+ * `expected` and `actual` are SHA-256 hex digests (`actual` null if unknown).
+ */
+export class IntegrityError extends Error {
+  constructor(message, { expected = null, actual = null } = {}) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Whether a failed request with this HTTP status is worth retrying
+ * 4xx are permanent except 408 Request Timeout and 429 Too Many Requests.
+ */
+export function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * How long the server asked to wait before retrying (Retry-After), honoured
+ * on 429 Too Many Requests and 503 Service Unavailable
+ * @returns {number|null} Milliseconds
+ */
+export function getRetryAfter(error) {
+  const honoured = error instanceof ApiError && (error.status === 429 || error.status === 503);
+  return honoured ? error.retryAfter : null;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build an ApiError from a failed response
+ */
+async function createApiError(response) {
+  const text = await response.text().catch(() => '');
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    body = { message: text };
+  }
+
+  const serverMessage = body && (
+    body.message ||
+    body.error ||
+    (Array.isArray(body.errors) ? body.errors.join(', ') : null)
+  );
+
+  return new ApiError(serverMessage || response.statusText || `HTTP error! status: ${response.status}`, {
+    status: response.status,
+    retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+    body
+  });
+}
+
+/**
+ * Whether an error means the server already processed this idempotency key
+ * Expected Rails response: 409 with `{ code: 'already_processed', result: {...} }`
+ */
+function isAlreadyProcessed(error) {
+  return error.status === 409 &&
+    Boolean(error.body) &&
+    (error.body.code === 'already_processed' || error.body.duplicate === true);
+}
+
+/**
+ * Whether the server rejected uploaded bytes whose digest did not match
+ * Expected Rails response: 400/422 with `{ code: 'digest_mismatch' }`
+ */
+function isDigestMismatch(error) {
+  return Boolean(error.body) && error.body.code === 'digest_mismatch';
+}
+
+/**
+ * Whether a conditional request failed because the server copy changed
+ * Expected Rails response: 412 Precondition Failed (or 409 Conflict) with the
+ * current `{ submission }` when the If-Match version is stale.
+ */
+export function isVersionConflict(error) {
+  return error instanceof ApiError && (error.status === 412 || error.status === 409);
 }
 
 /**
  * Handle API response
+ * A "duplicate, already processed" response to a retried request counts as success.
  */
 async function handleResponse(response) {
   if (!response.ok) {
-    const error = await response.json().catch(() => ({ message: response.statusText }));
-    throw new Error(error.message || `HTTP error! status: ${response.status}`);
+    const error = await createApiError(response);
+    if (isAlreadyProcessed(error)) {
+      return error.body.result || error.body;
+    }
+    throw error;
+  }
+  if (response.status === 204) {
+    return null;
   }
   return response.json();
 }
 
+/**
+ * Add the Idempotency-Key header for a mutating request
+ * Callers retrying a logical operation must pass the same key every time;
+ * without one, a fresh key still protects against network-level replays.
+ */
+function withIdempotencyKey(headers, idempotencyKey) {
+  return {
+    ...headers,
+    'Idempotency-Key': idempotencyKey || generateId()
+  };
+}
+
+/**
+ * Add the If-Match header (as an entity tag) when a version is known
+ */
+function withIfMatch(headers, version) {
+  if (version === null || version === undefined) {
+    return headers;
+  }
+  return {
+    ...headers,
+    'If-Match': `"${version}"`
+  };
+}
+
 /**
  * GET request
  */
-export async function get(endpoint) {
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+export async function get(endpoint, options = {}) {
+  const response = await authorizedFetch(endpoint, {
     method: 'GET',
-    headers: getHeaders()
+    headers: getHeaders(),
+    signal: options.signal
   });
   return handleResponse(response);
 }
 
 /**
  * POST request
+ * @param {Object} [options] - { idempotencyKey, signal }
  */
-export async function post(endpoint, data) {
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+export async function post(endpoint, data, options = {}) {
+  const response = await authorizedFetch(endpoint, {
     method: 'POST',
-    headers: getHeaders(),
-    body: JSON.stringify(data)
+    headers: withIdempotencyKey(getHeaders(), options.idempotencyKey),
+    body: JSON.stringify(data),
+    signal: options.signal
   });
   return handleResponse(response);
 }
 
 /**
  * POST with FormData (for file uploads)
+ * @param {Object} [options] - { idempotencyKey, signal }
  */
-export async function postFormData(endpoint, formData) {
-  const token = getAuthToken();
-  const headers = {};
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
+export async function postFormData(endpoint, formData, options = {}) {
   // Don't set Content-Type for FormData - browser will set it with boundary
-
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+  const response = await authorizedFetch(endpoint, {
     method: 'POST',
-    headers,
-    body: formData
+    headers: withIdempotencyKey({}, options.idempotencyKey),
+    body: formData,
+    signal: options.signal
   });
   return handleResponse(response);
 }
 
 /**
  * PUT request
+ * @param {Object} [options] - { idempotencyKey, ifMatch, signal } ifMatch is
+ *   the version the change is based on; a stale one fails with 412
  */
-export async function put(endpoint, data) {
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+export async function put(endpoint, data, options = {}) {
+  const response = await authorizedFetch(endpoint, {
     method: 'PUT',
-    headers: getHeaders(),
-    body: JSON.stringify(data)
+    headers: withIfMatch(withIdempotencyKey(getHeaders(), options.idempotencyKey), options.ifMatch),
+    body: JSON.stringify(data),
+    signal: options.signal
   });
   return handleResponse(response);
 }
 
 /**
  * DELETE request
+ * @param {Object} [options] - { idempotencyKey, signal } the key is only
+ *   sent when given
  */
-export async function del(endpoint) {
-  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+export async function del(endpoint, options = {}) {
+  const headers = getHeaders();
+  const response = await authorizedFetch(endpoint, {
     method: 'DELETE',
-    headers: getHeaders()
+    headers: options.idempotencyKey ? withIdempotencyKey(headers, options.idempotencyKey) : headers,
+    signal: options.signal
   });
   return handleResponse(response);
 }
 
 /**
- * Create a submission with media files
- * 
+ * Probe the API health endpoint (unauthenticated, never cached)
+ *
+ * TODO: Align endpoint with your Rails API
+ * Expected Rails endpoint: GET /api/health answering 200 with a JSON body
+ * (e.g. `{ "status": "ok" }`); an HTML answer is taken for a captive portal.
+ *
+ * @returns {Promise<Response>} The raw response; connectivity.js classifies it
+ */
+export function checkHealth(options = {}) {
+  return fetch(HEALTH_CHECK_URL, {
+    method: 'GET',
+    cache: 'no-store',
+    headers: { Accept: 'application/json' },
+    signal: options.signal
+  });
+}
+
+/**
+ * Create a submission (metadata only - media is uploaded separately)
+ *
  * TODO: Align endpoint and payload structure with your Rails API
  * Expected Rails endpoint: POST /api/submissions
- * Expected payload structure may vary based on your backend
+ * `client_id` is generated on the device and should be unique server-side,
+ * so a create whose response was lost can be found again instead of duplicated.
+ *
+ * @param {Object} submissionData - { title, description, clientId }
+ * @returns {Promise<Object>} Created submission (with server `id`)
  */
 export async function createSubmission(submissionData) {
-  // For now, we'll create the submission metadata first
-  // Then upload media files separately or in a multipart request
-  // TODO: Adjust based on your Rails API structure
-  
-  const formData = new FormData();
-  formData.append('submission[title]', submissionData.title);
-  formData.append('submission[description]', submissionData.description || '');
-  
-  // Append media files
-  if (submissionData.mediaFiles && submissionData.mediaFiles.length > 0) {
-    submissionData.mediaFiles.forEach((file, index) => {
-      formData.append(`submission[media][${index}]`, file);
-    });
-  }
+  return post('/submissions', {
+    submission: {
+      title: submissionData.title,
+      description: submissionData.description || '',
+      client_id: submissionData.clientId
+    }
+  }, { idempotencyKey: `submission-${submissionData.clientId}` });
+}
+
+/**
+ * Find a submission by the device-generated client ID
+ * Expected Rails endpoint: GET /api/submissions?client_id=...
+ * @returns {Promise<Object|null>} Submission or null if the server has none
+ */
+export async function findSubmissionByClientId(clientId) {
+  const response = await get(`/submissions?client_id=${encodeURIComponent(clientId)}`);
+  const submissions = Array.isArray(response) ? response : (response.submissions || []);
+  return submissions.find(submission => submission.client_id === clientId) || null;
+}
+
+/**
+ * Update a submission's title/description
+ * Expected Rails endpoint: PUT /api/submissions/:id with `If-Match: "<lock_version>"`
+ * Expected response: the updated submission (with its new `lock_version`);
+ * 412 with the current `{ submission }` if the version is stale.
+ *
+ * @param {Object} [options] - { version, idempotencyKey } version is the server
+ *   version the edit is based on; without one the update is unconditional
+ */
+export async function updateSubmission(id, submissionData, options = {}) {
+  return put(`/submissions/${id}`, {
+    submission: {
+      title: submissionData.title,
+      description: submissionData.description || ''
+    }
+  }, { ifMatch: options.version, idempotencyKey: options.idempotencyKey });
+}
+
+/**
+ * Delete a submission and its media
+ * Expected Rails endpoint: DELETE /api/submissions/:id
+ * @param {Object} [options] - { idempotencyKey }
+ */
+export async function deleteSubmission(id, options = {}) {
+  return del(`/submissions/${id}`, { idempotencyKey: options.idempotencyKey });
+}
 
-  return postFormData('/submissions', formData);
+/**
+ * Delete one uploaded media file of a submission
+ * Expected Rails endpoint: DELETE /api/submissions/:submission_id/media/:id
+ * @param {Object} [options] - { idempotencyKey }
+ */
+export async function deleteMedia(submissionId, mediaId, options = {}) {
+  return del(`/submissions/${submissionId}/media/${mediaId}`, { idempotencyKey: options.idempotencyKey });
 }
 
 /**
- * Get all submissions
+ * Get the user's submissions
  * TODO: Align endpoint with your Rails API
+ * Expected Rails endpoint: GET /api/submissions?updated_since=<ISO time>
+ * Expected response: an array, or { submissions, deleted_ids, server_time }
+ *
+ * @param {Object} [options] - { updatedSince, signal } updatedSince limits the
+ *   result to submissions changed (or deleted) after that time
  */
-export async function getSubmissions() {
-  return get('/submissions');
+export async function getSubmissions(options = {}) {
+  const query = options.updatedSince
+    ? `?updated_since=${encodeURIComponent(options.updatedSince)}`
+    : '';
+  return get(`/submissions${query}`, { signal: options.signal });
 }
 
 /**
@@ -150,115 +530,558 @@ export async function getSubmission(id) {
   return get(`/submissions/${id}`);
 }
 
+/**
+ * Download a media file or thumbnail the server linked to (e.g. `thumbnail_url`)
+ * Relative URLs resolve against the API base. No Authorization header is
+ * sent, so links should be public or signed.
+ * @returns {Promise<Blob>}
+ */
+export async function downloadMedia(url, options = {}) {
+  const response = await fetch(new URL(url, API_BASE_URL).href, { signal: options.signal });
+  if (!response.ok) {
+    throw await createApiError(response);
+  }
+  return response.blob();
+}
+
+/**
+ * RFC 9530 `Content-Digest` value of a chunk: `sha-256=:<base64>:`
+ */
+async function contentDigest(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return `sha-256=:${toBase64(new Uint8Array(digest))}:`;
+}
+
+/**
+ * Send an upload request and check the server's hash of the stored file
+ * The server answers with the SHA-256 it computed (`content_hash`, on the
+ * response or its `media`), or rejects the bytes with `digest_mismatch`.
+ * Servers that report neither are trusted. A stored copy that differs is
+ * deleted, so a retry does not leave a corrupt file behind.
+ * @param {Function} send - () => response of the request that completes the upload
+ * @throws {IntegrityError}
+ */
+async function verifyUpload(submissionId, file, contentHash, send) {
+  let response;
+  try {
+    response = await send();
+  } catch (error) {
+    if (error instanceof ApiError && isDigestMismatch(error)) {
+      throw new IntegrityError(`${file.name} was corrupted in transit: ${error.message}`, {
+        expected: contentHash,
+        actual: error.body.content_hash || null
+      });
+    }
+    throw error;
+  }
+
+  const serverHash = response && (response.content_hash || (response.media && response.media.content_hash));
+  if (!serverHash || serverHash.toLowerCase() === contentHash) {
+    return response;
+  }
+
+  const mediaId = response.id || response.media_id || (response.media && response.media.id);
+  if (mediaId) {
+    await deleteMedia(submissionId, mediaId).catch(error => {
+      console.error(`Could not delete corrupted copy of ${file.name}:`, error);
+    });
+  }
+  throw new IntegrityError(`${file.name} was corrupted in transit (server SHA-256 ${serverHash}, expected ${contentHash})`, {
+    expected: contentHash,
+    actual: serverHash
+  });
+}
+
 /**
  * Upload media file
  * TODO: Align endpoint with your Rails API
  * This might be a separate endpoint if you handle media uploads separately
+ *
+ * The file's SHA-256 is sent as `content_hash` and checked against the
+ * server's (see verifyUpload).
+ *
+ * @param {Object} [options] - { idempotencyKey, contentHash, signal } key stable across
+ *   retries of this file; contentHash is computed if not given
  */
-export async function uploadMedia(submissionId, file) {
+export async function uploadMedia(submissionId, file, options = {}) {
+  const contentHash = options.contentHash || await hashBlob(file);
   const formData = new FormData();
   formData.append('media', file);
   formData.append('submission_id', submissionId);
-  
-  return postFormData('/media-uploads', formData);
+  formData.append('content_hash', contentHash);
+
+  return verifyUpload(submissionId, file, contentHash, () => postFormData('/media-uploads', formData, {
+    idempotencyKey: options.idempotencyKey,
+    signal: options.signal
+  }));
 }
 
 /**
- * Chunk size for large file uploads (5MB chunks)
+ * Chunk size bounds used when the init response does not advertise the
+ * server's own (`min_chunk_size` / `max_chunk_size`)
  */
-const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+const DEFAULT_MIN_CHUNK_SIZE = 256 * 1024; // 256KB
+const DEFAULT_MAX_CHUNK_SIZE = 32 * 1024 * 1024; // 32MB
 
 /**
- * Upload media file in chunks
- * Useful for large files (>10MB) or flaky networks
- * 
- * @param {number} submissionId - Submission ID
- * @param {File} file - File to upload
- * @param {Function} onProgress - Progress callback (bytesUploaded, totalBytes)
- * @returns {Promise} Upload result
+ * First chunk size while nothing is known about the connection
  */
-export async function uploadMediaChunked(submissionId, file, onProgress) {
-  const fileSize = file.size;
-  const totalChunks = Math.ceil(fileSize / CHUNK_SIZE);
-  const uploadId = `${submissionId}-${file.name}-${Date.now()}`;
+const INITIAL_CHUNK_SIZE = 1024 * 1024; // 1MB
+
+/**
+ * Chunks are sized to take about this long to send: long enough that
+ * request latency is a small share, short enough that a failed chunk
+ * loses little work
+ */
+const TARGET_CHUNK_SECONDS = 5;
+
+/**
+ * A chunk may be at most this many times the size of the previous one
+ */
+const MAX_CHUNK_GROWTH = 2;
+
+/**
+ * Weight of the newest measurement in the throughput / latency averages
+ */
+const THROUGHPUT_SMOOTHING = 0.3;
+
+/**
+ * Settings key of the learned throughput; older estimates are ignored
+ */
+const THROUGHPUT_SETTING = 'uploadThroughput';
+const THROUGHPUT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Files larger than this use chunked upload (default 10MB)
+ */
+const CHUNKED_UPLOAD_THRESHOLD = parseInt(import.meta.env.VITE_CHUNKED_UPLOAD_THRESHOLD, 10) || 10 * 1024 * 1024;
+
+/**
+ * Chunks of one file in flight at once (hides round trips on high-latency links)
+ */
+const PARALLEL_CHUNKS = parseInt(import.meta.env.VITE_PARALLEL_CHUNKS, 10) || 3;
+
+/**
+ * Throughput learned from previous chunked uploads
+ * @returns {Promise<{bytesPerSecond: number, latency: number, updatedAt: string}|null>}
+ *   latency in milliseconds; null if nothing recent was learned
+ */
+export async function getThroughputEstimate() {
+  const estimate = await db.getSetting(THROUGHPUT_SETTING);
+  if (!estimate || Date.now() - new Date(estimate.updatedAt).getTime() > THROUGHPUT_MAX_AGE) {
+    return null;
+  }
+  return estimate;
+}
+
+function smooth(previous, sample) {
+  return previous ? previous + THROUGHPUT_SMOOTHING * (sample - previous) : sample;
+}
+
+/**
+ * Size of the next chunk for an estimate, within the session's bounds
+ */
+function computeChunkSize(estimate, session, previousSize) {
+  let size = INITIAL_CHUNK_SIZE;
+  if (estimate && estimate.bytesPerSecond) {
+    // On high-latency links use longer chunks so latency stays under ~25%
+    const seconds = Math.max(TARGET_CHUNK_SECONDS, (estimate.latency || 0) * 4 / 1000);
+    size = estimate.bytesPerSecond * seconds;
+  }
+  if (previousSize) {
+    size = Math.min(size, previousSize * MAX_CHUNK_GROWTH);
+  }
+  return Math.round(Math.min(session.maxChunkSize, Math.max(session.minChunkSize, size)));
+}
+
+/**
+ * Sort and merge [start, end) byte ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .filter(range => Array.isArray(range) && range[1] > range[0])
+    .map(([start, end]) => [start, end])
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Byte ranges of the file the server does not have yet
+ */
+function missingRanges(receivedRanges, fileSize) {
+  const missing = [];
+  let position = 0;
+  for (const [start, end] of receivedRanges) {
+    if (start > position) {
+      missing.push([position, Math.min(start, fileSize)]);
+    }
+    position = Math.max(position, end);
+  }
+  if (position < fileSize) {
+    missing.push([position, fileSize]);
+  }
+  return missing;
+}
+
+function countBytes(ranges) {
+  return ranges.reduce((sum, [start, end]) => sum + (end - start), 0);
+}
+
+/**
+ * Initialize a chunked upload session on the server
+ * TODO: Adjust based on your Rails API multipart upload endpoint
+ *
+ * Chunks are identified by byte range, not index, because their size
+ * adapts to the measured throughput during the upload.
+ *
+ * With a `contentHash` the server may already have the file: it attaches
+ * it to the submission and answers `{ status: 'complete', media }` instead
+ * of a session. The session is then `complete` and holds that response as
+ * `result`; no chunks need to be sent.
+ *
+ * @param {string} [idempotencyKey] - Key of the queue item; also used as the client upload ID
+ * @param {Object} [options] - { contentHash, signal } contentHash is the file's SHA-256 (hex)
+ * @returns {Promise<Object>} Session - { uploadId, chunkUrl, minChunkSize, maxChunkSize, receivedRanges, fileSize }
+ */
+export async function initChunkedUpload(submissionId, file, idempotencyKey, options = {}) {
+  const clientUploadId = idempotencyKey || `${submissionId}-${file.name}-${Date.now()}`;
 
-  // Initialize multipart upload
-  // TODO: Adjust based on your Rails API multipart upload endpoint
   const initResponse = await post('/media-uploads/init', {
     submission_id: submissionId,
     file_name: file.name,
-    file_size: fileSize,
+    file_size: file.size,
     file_type: file.type,
-    total_chunks: totalChunks,
-    upload_id: uploadId
-  });
+    content_hash: options.contentHash || undefined,
+    upload_id: clientUploadId
+  }, { idempotencyKey: idempotencyKey && `${idempotencyKey}:init`, signal: options.signal });
 
-  const { upload_id, chunk_url } = initResponse;
+  if (initResponse.status === 'complete') {
+    return {
+      uploadId: initResponse.upload_id || clientUploadId,
+      fileSize: file.size,
+      complete: true,
+      result: initResponse
+    };
+  }
+
+  const minChunkSize = initResponse.min_chunk_size || DEFAULT_MIN_CHUNK_SIZE;
+
+  return {
+    uploadId: initResponse.upload_id || clientUploadId,
+    idempotencyKey: idempotencyKey || clientUploadId,
+    chunkUrl: initResponse.chunk_url || '/media-uploads/chunk',
+    minChunkSize,
+    maxChunkSize: Math.max(minChunkSize, initResponse.max_chunk_size || DEFAULT_MAX_CHUNK_SIZE),
+    fileSize: file.size,
+    receivedRanges: [],
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Ask the server which bytes it already has for an upload session
+ * Expected Rails endpoint: GET /api/media-uploads/:upload_id
+ * Expected response: { upload_id, received_ranges: [[0, 1048576], ...] } (end exclusive)
+ *
+ * @param {Object} [options] - { signal, chunkSize } chunkSize maps the
+ *   `received_chunks` indexes of sessions started before ranges existed
+ * @returns {Promise<Array<[number, number]>>} Merged byte ranges the server has stored
+ */
+export async function getChunkedUploadStatus(uploadId, options = {}) {
+  const status = await get(`/media-uploads/${encodeURIComponent(uploadId)}`, options);
+  if (Array.isArray(status.received_ranges)) {
+    return mergeRanges(status.received_ranges);
+  }
+  if (Array.isArray(status.received_chunks) && options.chunkSize) {
+    return mergeRanges(status.received_chunks.map(index => [index * options.chunkSize, (index + 1) * options.chunkSize]));
+  }
+  return [];
+}
+
+/**
+ * Longest Retry-After a chunk waits out in place; a longer one fails the
+ * upload, and the queue schedules the retry (it honours Retry-After too)
+ */
+const MAX_CHUNK_RETRY_WAIT = 60 * 1000;
 
-  // Upload each chunk
-  for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-    const start = chunkIndex * CHUNK_SIZE;
-    const end = Math.min(start + CHUNK_SIZE, fileSize);
-    const chunk = file.slice(start, end);
+/**
+ * Upload the bytes [start, end) of a file, retrying transient failures with
+ * exponential backoff, or after the server's Retry-After when that is longer.
+ * An aborted `signal` stops it at once (no retries).
+ * The idempotency key is derived from the range, so a retried range is
+ * recognised however the rest of the file was split.
+ *
+ * Each request carries the chunk's `Content-Digest`; a chunk the server
+ * received corrupted is sent again, and throws an IntegrityError if it
+ * never arrives intact.
+ *
+ * @returns {Promise<{duration: number, retried: boolean}>} Duration of the
+ *   successful request in milliseconds
+ */
+async function uploadChunk(session, start, end, chunk, signal) {
+  let retries = 3;
+  const digest = await contentDigest(chunk);
 
+  while (retries > 0) {
     const chunkFormData = new FormData();
     chunkFormData.append('chunk', chunk);
-    chunkFormData.append('upload_id', upload_id);
-    chunkFormData.append('chunk_index', chunkIndex);
-    chunkFormData.append('total_chunks', totalChunks);
-
-    let retries = 3;
-    let success = false;
-
-    while (retries > 0 && !success) {
-      try {
-        const token = getAuthToken();
-        const headers = {};
-        if (token) {
-          headers['Authorization'] = `Bearer ${token}`;
-        }
+    chunkFormData.append('upload_id', session.uploadId);
+    chunkFormData.append('offset', start);
+    chunkFormData.append('file_size', session.fileSize);
 
-        const response = await fetch(`${API_BASE_URL}${chunk_url || '/media-uploads/chunk'}`, {
-          method: 'POST',
-          headers,
-          body: chunkFormData
-        });
+    const startedAt = Date.now();
+    try {
+      const response = await authorizedFetch(session.chunkUrl, {
+        method: 'POST',
+        headers: {
+          ...withIdempotencyKey({}, `${session.idempotencyKey}:range:${start}-${end}`),
+          'Content-Range': `bytes ${start}-${end - 1}/${session.fileSize}`,
+          'Content-Digest': digest
+        },
+        body: chunkFormData,
+        signal
+      });
 
-        if (!response.ok) {
-          throw new Error(`Chunk upload failed: ${response.statusText}`);
+      if (!response.ok) {
+        const error = await createApiError(response);
+        if (!isAlreadyProcessed(error)) {
+          throw error;
         }
+      }
+      return { duration: Date.now() - startedAt, retried: retries < 3 };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
 
-        success = true;
-        const bytesUploaded = end;
-        if (onProgress) {
-          onProgress(bytesUploaded, fileSize);
+      retries--;
+      const corrupted = error instanceof ApiError && isDigestMismatch(error);
+      const permanent = error instanceof ApiError && !isRetryableStatus(error.status) && !corrupted;
+      const retryAfter = getRetryAfter(error);
+      if (retries === 0 || permanent || retryAfter > MAX_CHUNK_RETRY_WAIT) {
+        const message = `Failed to upload bytes ${start}-${end} of ${session.fileSize}: ${error.message}`;
+        if (corrupted) {
+          throw new IntegrityError(message);
         }
-      } catch (error) {
-        retries--;
-        if (retries === 0) {
-          throw new Error(`Failed to upload chunk ${chunkIndex + 1}/${totalChunks}: ${error.message}`);
+        if (error instanceof ApiError) {
+          throw new ApiError(message, { status: error.status, retryAfter: error.retryAfter, body: error.body });
         }
-        // Exponential backoff
-        await new Promise(resolve => setTimeout(resolve, Math.pow(2, 3 - retries) * 1000));
+        throw new Error(message);
       }
+      // Exponential backoff, at least as long as the server asked
+      const delay = Math.max(Math.pow(2, 3 - retries) * 1000, retryAfter || 0);
+      await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
+}
 
-  // Finalize upload
-  const finalizeResponse = await post('/media-uploads/finalize', {
-    upload_id: upload_id,
-    submission_id: submissionId
-  });
+/**
+ * Finalize a chunked upload once every byte is on the server
+ * @param {Object} [options] - { contentHash, signal } contentHash is the
+ *   whole file's SHA-256 (hex), for the server to check the assembled file
+ */
+export async function finalizeChunkedUpload(session, submissionId, options = {}) {
+  return post('/media-uploads/finalize', {
+    upload_id: session.uploadId,
+    submission_id: submissionId,
+    content_hash: options.contentHash || undefined
+  }, { idempotencyKey: `${session.idempotencyKey}:finalize`, signal: options.signal });
+}
+
+/**
+ * Resolve the session to continue with: reuse a persisted one if the server
+ * still knows it, otherwise start a new one.
+ */
+async function resumeOrInitSession(submissionId, file, session, idempotencyKey, contentHash, signal) {
+  if (session && session.uploadId && session.fileSize === file.size) {
+    try {
+      // Sessions persisted before adaptive chunking used fixed-size chunks
+      const receivedRanges = await getChunkedUploadStatus(session.uploadId, {
+        signal,
+        chunkSize: session.chunkSize
+      });
+      return {
+        ...session,
+        idempotencyKey: session.idempotencyKey || session.uploadId,
+        minChunkSize: session.minChunkSize || DEFAULT_MIN_CHUNK_SIZE,
+        maxChunkSize: session.maxChunkSize || DEFAULT_MAX_CHUNK_SIZE,
+        receivedRanges: receivedRanges.map(([start, end]) => [start, Math.min(end, file.size)])
+      };
+    } catch (error) {
+      // Unknown or expired session - the server discarded its chunks
+      if (error.status !== 404 && error.status !== 410) {
+        throw error;
+      }
+      console.warn(`Upload session ${session.uploadId} expired, starting over`);
+      // A new session needs new keys, or the server would replay the old init
+      return initChunkedUpload(submissionId, file, idempotencyKey && `${idempotencyKey}-${Date.now()}`, { contentHash, signal });
+    }
+  }
+
+  return initChunkedUpload(submissionId, file, idempotencyKey, { contentHash, signal });
+}
 
-  return finalizeResponse;
+/**
+ * Upload media file in chunks
+ * Useful for large files or flaky networks
+ *
+ * Resumable: pass the session persisted from a previous attempt and only the
+ * byte ranges the server is missing are sent. `onSessionUpdate` is called
+ * whenever the session changes (created, range acknowledged) so it can be
+ * persisted. `idempotencyKey` derives the keys of the init, chunk and
+ * finalize requests. Aborting `signal` cancels the request in flight; the
+ * session stays valid for resuming.
+ *
+ * Adaptive: chunk size follows the measured throughput (starting from the
+ * rate learned by earlier uploads) within the server's bounds. A chunk
+ * that needed retries lowers the throughput estimate, so the chunks after
+ * it are half its size and grow back gradually.
+ *
+ * Parallel: up to `parallelChunks` chunks are in flight and may be
+ * acknowledged in any order. Progress reports confirmed bytes only, and
+ * finalize is sent once every byte is confirmed. If one chunk fails for
+ * good, the others are aborted and that error is thrown.
+ *
+ * Deduplicated: `contentHash` is sent with the init; if the server already
+ * has the file, nothing else is uploaded (see initChunkedUpload).
+ *
+ * Verified: every chunk carries its digest, and finalize sends the whole
+ * file's hash (computed here if not given); a mismatch throws an
+ * IntegrityError (see verifyUpload).
+ *
+ * @param {number} submissionId - Server submission ID
+ * @param {File} file - File to upload
+ * @param {Function} onProgress - Progress callback (bytesUploaded, totalBytes)
+ * @param {Object} [options] - { session, onSessionUpdate, idempotencyKey, contentHash, signal, parallelChunks }
+ * @returns {Promise} Upload result
+ */
+export async function uploadMediaChunked(submissionId, file, onProgress, options = {}) {
+  const { onSessionUpdate, signal } = options;
+  const fileSize = file.size;
+  const parallelChunks = Math.max(1, options.parallelChunks || PARALLEL_CHUNKS);
+  const contentHash = options.contentHash || await hashBlob(file);
+  if (signal) {
+    signal.throwIfAborted();
+  }
+  let estimate = await getThroughputEstimate();
+
+  // The init / status request carries no payload: its round trip is the latency
+  const requestedAt = Date.now();
+  let session = await resumeOrInitSession(submissionId, file, options.session, options.idempotencyKey, contentHash, signal);
+  if (session.complete) {
+    console.log(`Server already has ${file.name}, nothing to upload`);
+    if (onProgress) {
+      onProgress(fileSize, fileSize);
+    }
+    return verifyUpload(submissionId, file, contentHash, () => session.result);
+  }
+  estimate = { ...estimate, latency: smooth(estimate && estimate.latency, Date.now() - requestedAt) };
+  if (onSessionUpdate) {
+    await onSessionUpdate(session);
+  }
+
+  if (onProgress && session.receivedRanges.length > 0) {
+    onProgress(countBytes(session.receivedRanges), fileSize);
+  }
+
+  // Ranges the server doesn't have; chunks are cut from the front as they
+  // are dispatched, sized from the throughput measured so far
+  const gaps = missingRanges(session.receivedRanges, fileSize);
+  let chunkSize = null;
+
+  function takeNextRange() {
+    while (gaps.length > 0 && gaps[0][0] >= gaps[0][1]) {
+      gaps.shift();
+    }
+    if (gaps.length === 0) {
+      return null;
+    }
+    chunkSize = computeChunkSize(estimate, session, chunkSize);
+    const start = gaps[0][0];
+    const end = Math.min(start + chunkSize, gaps[0][1]);
+    gaps[0][0] = end;
+    return [start, end];
+  }
+
+  // Aborted by the caller, or when a sibling chunk fails for good
+  const controller = new AbortController();
+  const abortAll = () => controller.abort(signal && signal.reason);
+  if (signal) {
+    signal.throwIfAborted();
+    signal.addEventListener('abort', abortAll, { once: true });
+  }
+  let failure = null;
+
+  async function sendChunks() {
+    let range;
+    while (!failure && (range = takeNextRange())) {
+      const [start, end] = range;
+      const { duration, retried } = await uploadChunk(session, start, end, file.slice(start, end), controller.signal);
+
+      // Throughput per connection: with parallel chunks each gets a share.
+      // A chunk that needed retries lowers the estimate to half of that
+      // chunk's rate, so the next chunks are smaller and only grow back as
+      // later chunks go through cleanly.
+      const transferMs = Math.max(duration - estimate.latency, duration / 2, 1);
+      let bytesPerSecond = smooth(estimate.bytesPerSecond, (end - start) / (transferMs / 1000));
+      if (retried) {
+        bytesPerSecond = Math.min(bytesPerSecond, (end - start) / TARGET_CHUNK_SECONDS) / 2;
+      }
+      estimate = { ...estimate, bytesPerSecond };
+      await db.setSetting(THROUGHPUT_SETTING, { ...estimate, updatedAt: new Date().toISOString() });
+
+      // Acknowledgements arrive in any order; only confirmed bytes count
+      session = { ...session, receivedRanges: mergeRanges([...session.receivedRanges, [start, end]]) };
+      if (onSessionUpdate) {
+        await onSessionUpdate(session);
+      }
+      if (onProgress) {
+        onProgress(countBytes(session.receivedRanges), fileSize);
+      }
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: parallelChunks }, () =>
+      sendChunks().catch(error => {
+        if (!failure) {
+          failure = error;
+          controller.abort();
+        }
+      })
+    ));
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', abortAll);
+    }
+  }
+
+  if (failure) {
+    throw failure;
+  }
+  if (countBytes(session.receivedRanges) < fileSize) {
+    throw new Error(`Upload incomplete: ${countBytes(session.receivedRanges)} of ${fileSize} bytes confirmed`);
+  }
+
+  return verifyUpload(submissionId, file, contentHash, () =>
+    finalizeChunkedUpload(session, submissionId, { contentHash, signal })
+  );
 }
 
 /**
  * Check if file should use chunked upload
- * Files larger than 10MB use chunked upload
+ * Files larger than VITE_CHUNKED_UPLOAD_THRESHOLD (default 10MB) use chunked upload
  */
 export function shouldUseChunkedUpload(file) {
-  const LARGE_FILE_THRESHOLD = 10 * 1024 * 1024; // 10MB
-  return file.size > LARGE_FILE_THRESHOLD;
+  return file.size > CHUNKED_UPLOAD_THRESHOLD;
 }
-
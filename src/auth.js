@@ -0,0 +1,81 @@
+/**
+ * Auth - Login and logout flow
+ *
+ * Tokens are stored and refreshed by api.js (IndexedDB settings store, so the
+ * service worker sees the same session). This module handles signing in and
+ * out and tells sync whether uploads may run.
+ */
+
+import * as api from './api.js';
+import * as db from './db.js';
+
+/**
+ * Whether the API requires a signed-in user. Deployments without auth can
+ * set VITE_AUTH_REQUIRED=false so sync never waits for a login.
+ */
+export const AUTH_REQUIRED = import.meta.env.VITE_AUTH_REQUIRED !== 'false';
+
+/**
+ * Subscribe to auth changes; callback receives tokens or null
+ */
+export const onAuthChange = api.onAuthChange;
+
+/**
+ * Sign in with email and password
+ * Expected Rails endpoint: POST /api/auth/login
+ * Expected response: { access_token, refresh_token, expires_in, user }
+ * @returns {Promise<Object|null>} Signed-in user
+ */
+export async function login(email, password) {
+  const response = await api.post('/auth/login', { email, password });
+  const tokens = api.tokensFromResponse(response);
+  if (!tokens.accessToken) {
+    throw new Error('Login response did not include an access token');
+  }
+  await api.saveAuthTokens(tokens);
+  return tokens.user;
+}
+
+/**
+ * Sign out
+ * Revokes the refresh token on the server when reachable; local tokens are
+ * always cleared.
+ * @param {Object} [options] - { wipeData: true } to also delete local
+ *   submissions, queued uploads and stored media
+ */
+export async function logout({ wipeData = false } = {}) {
+  const tokens = await api.getAuthTokens();
+
+  if (tokens && tokens.refreshToken) {
+    try {
+      await api.post('/auth/logout', { refresh_token: tokens.refreshToken });
+    } catch (error) {
+      console.warn('Could not revoke session on server:', error);
+    }
+  }
+
+  await api.clearAuthTokens();
+
+  if (wipeData) {
+    await db.clearAllData();
+  }
+}
+
+/**
+ * Get the signed-in user, or null
+ */
+export async function getCurrentUser() {
+  const tokens = await api.getAuthTokens();
+  return tokens ? (tokens.user || {}) : null;
+}
+
+export async function isAuthenticated() {
+  return Boolean(await api.getAuthTokens());
+}
+
+/**
+ * Whether uploads may run (signed in, or auth not required)
+ */
+export async function canSync() {
+  return !AUTH_REQUIRED || isAuthenticated();
+}
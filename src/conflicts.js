@@ -0,0 +1,110 @@
+/**
+ * Conflicts - Compare a record's edits with a newer server copy
+ *
+ * Each record remembers the server's version and values as of its last
+ * create, pull or update (`serverVersion`, `serverValues`). When the server
+ * copy has moved on, every editable field is compared three ways:
+ * - changed only on this device: keep ours
+ * - changed only on the server: take theirs
+ * - changed on both sides to different values: the user decides
+ *
+ * Pure functions; sync.js and pull.js store the result on the record as
+ * `conflict`.
+ */
+
+/**
+ * Fields that can be edited on both sides
+ */
+export const CONFLICT_FIELDS = ['title', 'description'];
+
+/**
+ * Joins both values when the user picks "merge"
+ */
+const MERGE_SEPARATORS = {
+  title: ' / ',
+  description: '\n\n'
+};
+
+/**
+ * Version of a server submission, sent back as If-Match
+ * Rails' `lock_version` if the API exposes it, else `updated_at`.
+ * @returns {string|null}
+ */
+export function getSubmissionVersion(submission) {
+  const version = submission.lock_version ?? submission.version ??
+    submission.updated_at ?? submission.updatedAt ?? null;
+  return version === null ? null : String(version);
+}
+
+/**
+ * The editable fields of a record or submission
+ */
+export function pickValues(source) {
+  return {
+    title: source.title || '',
+    description: source.description || ''
+  };
+}
+
+export function sameValues(a, b) {
+  return CONFLICT_FIELDS.every(field => a[field] === b[field]);
+}
+
+/**
+ * Version and values of a server submission, as stored on the record
+ */
+export function getServerState(submission) {
+  return {
+    serverVersion: getSubmissionVersion(submission),
+    serverValues: pickValues(submission),
+    serverUpdatedAt: submission.updated_at || submission.updatedAt || null
+  };
+}
+
+/**
+ * Compare a record's values with a newer server state
+ * Without `record.serverValues` (records from before versioning) every
+ * differing field is a conflict.
+ * @param {Object} record
+ * @param {Object} serverState - From getServerState()
+ * @returns {Object} serverState plus `fields` (the conflicting fields),
+ *   `merged` (resolved values, ours where conflicting) and `detectedAt`
+ */
+export function detectConflict(record, serverState) {
+  const base = record.serverValues || null;
+  const local = pickValues(record);
+  const theirs = serverState.serverValues;
+  const merged = {};
+  const fields = [];
+
+  for (const field of CONFLICT_FIELDS) {
+    if (local[field] === theirs[field] || (base && theirs[field] === base[field])) {
+      merged[field] = local[field];
+    } else if (base && local[field] === base[field]) {
+      merged[field] = theirs[field];
+    } else {
+      merged[field] = local[field];
+      fields.push(field);
+    }
+  }
+
+  return {
+    ...serverState,
+    fields,
+    merged,
+    detectedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Starting point for a "merge" choice: both values, unless one contains the other
+ */
+export function mergeValues(field, mine, theirs) {
+  if (!mine || theirs.includes(mine)) {
+    return theirs;
+  }
+  if (!theirs || mine.includes(theirs)) {
+    return mine;
+  }
+  return `${mine}${MERGE_SEPARATORS[field] || ' '}${theirs}`;
+}
@@ -0,0 +1,183 @@
+/**
+ * Connectivity Monitor - Whether the API is actually reachable
+ *
+ * `navigator.onLine` only says a network interface is up; it is true behind
+ * captive portals and on hotspots without internet. The monitor probes the
+ * API health endpoint (`api.checkHealth`) with a timeout and classifies the
+ * result:
+ * - online: health check answered with JSON in time
+ * - degraded: answered slowly or with a 5xx
+ * - captive: answered by something else (redirect, 511, an HTML page)
+ * - offline: no interface, network error or timeout
+ *
+ * Probes run on start, on `online`/`offline` events, periodically, and on
+ * demand (`check()`), e.g. when an upload hits a network error.
+ */
+
+import * as api from './api.js';
+
+export const CONNECTIVITY = {
+  UNKNOWN: 'unknown',
+  ONLINE: 'online',
+  DEGRADED: 'degraded',
+  CAPTIVE: 'captive',
+  OFFLINE: 'offline'
+};
+
+/**
+ * Give up on a probe after this long
+ */
+const PROBE_TIMEOUT = 8000;
+
+/**
+ * Answers slower than this count as degraded
+ */
+const SLOW_PROBE_LATENCY = 2500;
+
+/**
+ * Time between background probes: rarely while things work, often while
+ * waiting for the connection to come back
+ */
+const PROBE_INTERVAL_ONLINE = 60 * 1000;
+const PROBE_INTERVAL_OFFLINE = 15 * 1000;
+
+let state = CONNECTIVITY.UNKNOWN;
+let lastCheckedAt = 0;
+let lastLatency = null;
+let probePromise = null;
+let probeTimer = null;
+let monitoring = false;
+let connectivityListeners = [];
+
+/**
+ * Subscribe to connectivity changes
+ * Callback receives (state, previousState, { latency, checkedAt })
+ */
+export function onConnectivityChange(callback) {
+  connectivityListeners.push(callback);
+}
+
+function setState(newState) {
+  const previous = state;
+  state = newState;
+  lastCheckedAt = Date.now();
+  if (newState !== previous) {
+    console.log(`Connectivity: ${previous} -> ${newState}`);
+    connectivityListeners.forEach(cb => cb(newState, previous, { latency: lastLatency, checkedAt: lastCheckedAt }));
+  }
+}
+
+export function getState() {
+  return state;
+}
+
+function browserOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+/**
+ * Whether requests to the API can be expected to get through
+ * Before the first probe this falls back to `navigator.onLine`.
+ */
+export function isReachable() {
+  if (!browserOnline()) {
+    return false;
+  }
+  if (state === CONNECTIVITY.UNKNOWN) {
+    return true;
+  }
+  return state === CONNECTIVITY.ONLINE || state === CONNECTIVITY.DEGRADED;
+}
+
+function isJsonResponse(response) {
+  const contentType = response.headers.get('content-type') || '';
+  return contentType.includes('json');
+}
+
+function classifyProbe(response, latency) {
+  // Portals redirect to their login page or answer 511 themselves
+  if (response.redirected || response.status === 511) {
+    return CONNECTIVITY.CAPTIVE;
+  }
+  if (response.status >= 500) {
+    return CONNECTIVITY.DEGRADED;
+  }
+  if (!isJsonResponse(response)) {
+    return CONNECTIVITY.CAPTIVE;
+  }
+  return latency > SLOW_PROBE_LATENCY ? CONNECTIVITY.DEGRADED : CONNECTIVITY.ONLINE;
+}
+
+async function probe() {
+  if (!browserOnline()) {
+    return CONNECTIVITY.OFFLINE;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PROBE_TIMEOUT);
+  const startedAt = Date.now();
+
+  try {
+    const response = await api.checkHealth({ signal: controller.signal });
+    lastLatency = Date.now() - startedAt;
+    return classifyProbe(response, lastLatency);
+  } catch (error) {
+    lastLatency = null;
+    console.log('Health check failed:', error.name === 'AbortError' ? 'timed out' : error.message);
+    return CONNECTIVITY.OFFLINE;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Probe the API now (concurrent callers share one probe)
+ * @param {Object} [options] - { maxAge } reuse a result younger than this (ms)
+ * @returns {Promise<string>} The CONNECTIVITY state
+ */
+export function check({ maxAge = 0 } = {}) {
+  if (state !== CONNECTIVITY.UNKNOWN && Date.now() - lastCheckedAt < maxAge) {
+    return Promise.resolve(state);
+  }
+
+  if (!probePromise) {
+    probePromise = probe()
+      .then(result => {
+        setState(result);
+        return result;
+      })
+      .finally(() => {
+        probePromise = null;
+        scheduleProbe();
+      });
+  }
+  return probePromise;
+}
+
+function scheduleProbe() {
+  if (!monitoring) {
+    return;
+  }
+  clearTimeout(probeTimer);
+  const interval = state === CONNECTIVITY.ONLINE ? PROBE_INTERVAL_ONLINE : PROBE_INTERVAL_OFFLINE;
+  probeTimer = setTimeout(() => check(), interval);
+}
+
+/**
+ * Start probing in the background (page only)
+ */
+export function startMonitoring() {
+  if (monitoring) {
+    return;
+  }
+  monitoring = true;
+
+  window.addEventListener('online', () => check());
+  window.addEventListener('offline', () => {
+    lastLatency = null;
+    setState(CONNECTIVITY.OFFLINE);
+    scheduleProbe();
+  });
+
+  check();
+}
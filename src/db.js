@@ -2,18 +2,34 @@
  * IndexedDB Helper - Minimal wrapper for local storage
  * 
  * Stores:
- * - records: submissions with metadata
- * - mediaQueue: pending uploads (file blobs + metadata + status)
+ * - records: submissions with metadata (clientId, plus serverId once created on
+ *   the server); also submissions pulled from the server (see pull.js)
+ * - mediaQueue: pending uploads (metadata + status + resumable upload session);
+ *   items with the same content hash share one stored file
+ * - operations: outbox of other server changes (create, update, delete), replayed in order
+ * - mediaChunks: file contents as Blob slices, keyed by [blobId, index]
+ * - settings: key/value app state shared with the service worker (e.g. auth tokens)
  */
 
+import { generateId } from './utils.js';
+
 const DB_NAME = 'OfflineMediaPWA';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 
 const STORES = {
   RECORDS: 'records',
-  MEDIA_QUEUE: 'mediaQueue'
+  MEDIA_QUEUE: 'mediaQueue',
+  MEDIA_CHUNKS: 'mediaChunks',
+  SETTINGS: 'settings',
+  OPERATIONS: 'operations'
 };
 
+/**
+ * Size of each Blob slice written to the mediaChunks store (4MB).
+ * Files are copied slice by slice so the whole file is never in memory.
+ */
+const STORAGE_CHUNK_SIZE = 4 * 1024 * 1024;
+
 let db = null;
 
 /**
@@ -31,6 +47,11 @@ export function openDB() {
     request.onerror = () => reject(request.error);
     request.onsuccess = () => {
       db = request.result;
+      // Let another tab (or the service worker) upgrade the schema
+      db.onversionchange = () => {
+        db.close();
+        db = null;
+      };
       resolve(db);
     };
 
@@ -56,15 +77,111 @@ export function openDB() {
         queueStore.createIndex('status', 'status', { unique: false });
         queueStore.createIndex('submissionId', 'submissionId', { unique: false });
         queueStore.createIndex('createdAt', 'createdAt', { unique: false });
-      } else {
-        // Migration: Add new fields to existing store if needed
-        const queueStore = event.target.transaction.objectStore(STORES.MEDIA_QUEUE);
-        // Note: IndexedDB doesn't support adding fields in upgrade, but existing items will get defaults
+      }
+
+      // Media chunks store: file contents split into Blob slices
+      if (!database.objectStoreNames.contains(STORES.MEDIA_CHUNKS)) {
+        const chunksStore = database.createObjectStore(STORES.MEDIA_CHUNKS, {
+          keyPath: ['blobId', 'index']
+        });
+        chunksStore.createIndex('blobId', 'blobId', { unique: false });
+      }
+
+      // Settings store: key/value pairs
+      if (!database.objectStoreNames.contains(STORES.SETTINGS)) {
+        database.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+      }
+
+      // Operations store: outbox of non-media changes
+      if (!database.objectStoreNames.contains(STORES.OPERATIONS)) {
+        const operationsStore = database.createObjectStore(STORES.OPERATIONS, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        operationsStore.createIndex('status', 'status', { unique: false });
+        operationsStore.createIndex('submissionId', 'submissionId', { unique: false });
+        operationsStore.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
+      // v4: find records by server / client ID when merging pulled submissions
+      const recordsStore = event.target.transaction.objectStore(STORES.RECORDS);
+      if (!recordsStore.indexNames.contains('serverId')) {
+        recordsStore.createIndex('serverId', 'serverId', { unique: false });
+      }
+      if (!recordsStore.indexNames.contains('clientId')) {
+        recordsStore.createIndex('clientId', 'clientId', { unique: false });
+      }
+
+      // v6: find stored files by content hash (deduplication)
+      const queueStore = event.target.transaction.objectStore(STORES.MEDIA_QUEUE);
+      if (!queueStore.indexNames.contains('contentHash')) {
+        queueStore.createIndex('contentHash', 'contentHash', { unique: false });
+      }
+
+      // Migration v1 -> v2: move inline ArrayBuffers into the chunks store
+      if (event.oldVersion > 0 && event.oldVersion < 2) {
+        migrateInlineFileData(event.target.transaction);
+      }
+
+      // Migration v4 -> v5: edits waiting to be sent become outbox operations
+      if (event.oldVersion === 4) {
+        migratePendingEdits(event.target.transaction);
       }
     };
   });
 }
 
+/**
+ * Move `fileData` ArrayBuffers of v1 queue items into mediaChunks
+ * Runs inside the versionchange transaction, one item at a time.
+ */
+function migrateInlineFileData(upgradeTransaction) {
+  const queueStore = upgradeTransaction.objectStore(STORES.MEDIA_QUEUE);
+  const chunksStore = upgradeTransaction.objectStore(STORES.MEDIA_CHUNKS);
+
+  queueStore.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    const item = cursor.value;
+    if (item.fileData) {
+      const blobId = generateId();
+      chunksStore.put({
+        blobId,
+        index: 0,
+        data: new Blob([item.fileData], { type: item.fileType })
+      });
+      delete item.fileData;
+      cursor.update({ ...item, blobId, chunkCount: 1 });
+    }
+    cursor.continue();
+  };
+}
+
+/**
+ * Queue an update operation for each v4 record with `editPending`
+ * Runs inside the versionchange transaction.
+ */
+function migratePendingEdits(upgradeTransaction) {
+  const recordsStore = upgradeTransaction.objectStore(STORES.RECORDS);
+  const operationsStore = upgradeTransaction.objectStore(STORES.OPERATIONS);
+
+  recordsStore.openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    const record = cursor.value;
+    if (record.editPending && record.serverId) {
+      operationsStore.add(createOperation({
+        type: 'update',
+        submissionId: record.id,
+        payload: { title: record.title }
+      }));
+    }
+    cursor.continue();
+  };
+}
+
 /**
  * Generic transaction helper
  */
@@ -84,6 +201,8 @@ export async function createRecord(record) {
   return new Promise((resolve, reject) => {
     const request = store.add({
       ...record,
+      clientId: record.clientId || generateId(),
+      serverId: null,
       createdAt: new Date().toISOString(),
       synced: false
     });
@@ -101,6 +220,41 @@ export async function getRecord(id) {
   });
 }
 
+/**
+ * Store a submission pulled from the server as given (unlike createRecord,
+ * serverId, createdAt and synced are not reset)
+ */
+export async function createServerRecord(record) {
+  const store = await transaction(STORES.RECORDS, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const request = store.add(record);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Find a record by an indexed field (serverId or clientId)
+ * @returns {Promise<Object|null>}
+ */
+async function getRecordByIndex(indexName, value) {
+  const store = await transaction(STORES.RECORDS);
+  const index = store.index(indexName);
+  return new Promise((resolve, reject) => {
+    const request = index.get(value);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function getRecordByServerId(serverId) {
+  return getRecordByIndex('serverId', serverId);
+}
+
+export async function getRecordByClientId(clientId) {
+  return getRecordByIndex('clientId', clientId);
+}
+
 export async function getAllRecords() {
   const store = await transaction(STORES.RECORDS);
   return new Promise((resolve, reject) => {
@@ -110,6 +264,15 @@ export async function getAllRecords() {
   });
 }
 
+export async function countRecords() {
+  const store = await transaction(STORES.RECORDS);
+  return new Promise((resolve, reject) => {
+    const request = store.count();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 export async function updateRecord(id, updates) {
   const store = await transaction(STORES.RECORDS, 'readwrite');
   return new Promise((resolve, reject) => {
@@ -129,10 +292,125 @@ export async function updateRecord(id, updates) {
   });
 }
 
+/**
+ * Read, change and write a record in one transaction, so nothing written in
+ * between is lost
+ * @param {Function} update - Called with the current record; returns the
+ *   changes, or null to leave it. Must not await (the transaction would end).
+ * @returns {Promise<Object|null>} The updated record; null if it is gone or
+ *   `update` returned null
+ */
+export async function mergeRecord(id, update) {
+  const store = await transaction(STORES.RECORDS, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      const record = getRequest.result;
+      let updates;
+      try {
+        updates = record ? update(record) : null;
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      if (!updates) {
+        resolve(null);
+        return;
+      }
+      const updated = { ...record, ...updates };
+      const putRequest = store.put(updated);
+      putRequest.onsuccess = () => resolve(updated);
+      putRequest.onerror = () => reject(putRequest.error);
+    };
+    getRequest.onerror = () => reject(getRequest.error);
+  });
+}
+
+/**
+ * Delete a record and its thumbnails (queue items are deleted separately)
+ */
 export async function deleteRecord(id) {
   const store = await transaction(STORES.RECORDS, 'readwrite');
+  const record = await new Promise((resolve, reject) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      const result = getRequest.result;
+      const request = store.delete(id);
+      request.onsuccess = () => resolve(result);
+      request.onerror = () => reject(request.error);
+    };
+    getRequest.onerror = () => reject(getRequest.error);
+  });
+
+  const thumbnailBlobIds = ((record && record.mediaFiles) || [])
+    .map(file => file.thumbnailBlobId)
+    .filter(Boolean);
+  for (const blobId of thumbnailBlobIds) {
+    await deleteBlob(blobId);
+  }
+}
+
+/**
+ * Media Chunk Operations
+ */
+
+/**
+ * Store a Blob (or File) as a series of slices
+ * Each slice is written in its own transaction; slicing a File is lazy,
+ * so the browser streams the bytes into IndexedDB without loading the file.
+ * @returns {Promise<{blobId: string, chunkCount: number}>}
+ */
+export async function putBlob(blob) {
+  const blobId = generateId();
+  const chunkCount = Math.max(1, Math.ceil(blob.size / STORAGE_CHUNK_SIZE));
+
+  try {
+    for (let index = 0; index < chunkCount; index++) {
+      const start = index * STORAGE_CHUNK_SIZE;
+      const data = blob.slice(start, start + STORAGE_CHUNK_SIZE, blob.type);
+      const store = await transaction(STORES.MEDIA_CHUNKS, 'readwrite');
+      await new Promise((resolve, reject) => {
+        const request = store.put({ blobId, index, data });
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+      });
+    }
+  } catch (error) {
+    await deleteBlob(blobId).catch(() => {});
+    throw error;
+  }
+
+  return { blobId, chunkCount };
+}
+
+/**
+ * Reassemble a stored Blob from its slices
+ * The result references the stored slices; no bytes are read until consumed.
+ */
+export async function getBlob(blobId, type = '') {
+  const store = await transaction(STORES.MEDIA_CHUNKS);
+  const index = store.index('blobId');
   return new Promise((resolve, reject) => {
-    const request = store.delete(id);
+    const request = index.getAll(blobId);
+    request.onsuccess = () => {
+      const chunks = (request.result || []).sort((a, b) => a.index - b.index);
+      if (chunks.length === 0) {
+        reject(new Error('Media data not found'));
+        return;
+      }
+      resolve(new Blob(chunks.map(chunk => chunk.data), { type }));
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Delete all slices of a stored Blob
+ */
+export async function deleteBlob(blobId) {
+  const store = await transaction(STORES.MEDIA_CHUNKS, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const request = store.delete(IDBKeyRange.bound([blobId, 0], [blobId, Infinity]));
     request.onsuccess = () => resolve();
     request.onerror = () => reject(request.error);
   });
@@ -142,54 +420,295 @@ export async function deleteRecord(id) {
  * Media Queue Operations
  */
 
+/**
+ * Add a queue item that shares the stored file of an item with the same
+ * content hash. Lookup and add run in one transaction, so the file cannot be
+ * deleted in between (see deleteQueueItem).
+ * @returns {Promise<number|null>} The new item's ID, or null if no file has that hash
+ */
+async function addQueueItemWithSharedBlob(item) {
+  const store = await transaction(STORES.MEDIA_QUEUE, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const getRequest = store.index('contentHash').get(item.contentHash);
+    getRequest.onsuccess = () => {
+      const existing = getRequest.result;
+      if (!existing || !existing.blobId) {
+        resolve(null);
+        return;
+      }
+      const request = store.add({ ...item, blobId: existing.blobId, chunkCount: existing.chunkCount });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    };
+    getRequest.onerror = () => reject(getRequest.error);
+  });
+}
+
 /**
  * Enqueue a media file for upload
- * @param {Object} queueItem - { submissionId, file, metadata, status, useChunked }
+ * File contents go to the mediaChunks store; the queue item references them by blobId.
+ * A file whose content hash is already stored reuses that blob instead of a copy.
+ * @param {Object} queueItem - { submissionId, file, original, originalSize, contentHash, metadata, status, useChunked }
+ *   `original` is the unprocessed file when a resized copy is uploaded and the original kept
  */
 export async function enqueueMedia(queueItem) {
+  const file = queueItem.file;
+
+  let originalBlobId = null;
+  if (queueItem.original) {
+    originalBlobId = (await putBlob(queueItem.original)).blobId;
+  }
+
+  const item = {
+    submissionId: queueItem.submissionId,
+    fileName: file.name,
+    fileType: file.type,
+    fileSize: file.size,
+    blobId: null,
+    chunkCount: 0,
+    contentHash: queueItem.contentHash || null, // SHA-256 (hex) of the stored file
+    originalBlobId, // unprocessed original, kept on the device only (not uploaded)
+    originalSize: queueItem.originalSize || file.size, // size as picked by the user
+    processedSize: file.size, // size after media processing (what is stored and uploaded)
+    metadata: queueItem.metadata || {},
+    status: queueItem.status || 'pending', // pending | uploading | synced | failed | paused | cancelled
+    attempts: queueItem.attempts || 0,
+    maxAttempts: queueItem.maxAttempts || 5,
+    nextAttemptAt: null, // ISO timestamp; not retried before this (backoff)
+    error: null,
+    errorReason: null, // e.g. 'payload_too_large', 'network_error' (see sync.classifyError)
+    permanentFailure: false, // true when retrying cannot succeed (non-retryable 4xx)
+    useChunked: queueItem.useChunked || false,
+    pinned: queueItem.pinned || false, // user-pinned items upload first
+    waitingFor: null, // 'wifi' | 'battery' while the sync policy holds a pending item back
+    idempotencyKey: queueItem.idempotencyKey || generateId(), // stable across retries and reloads
+    uploadProgress: 0, // 0-100 percentage
+    bytesUploaded: 0,
+    controlRequest: null, // pause/cancel requested while uploading, applied when the upload stops
+    uploadSession: null, // { uploadId, chunkUrl, minChunkSize, maxChunkSize, receivedRanges } for chunked uploads
+    createdAt: new Date().toISOString()
+  };
+
+  let blobId = null;
+  try {
+    if (item.contentHash) {
+      const sharedId = await addQueueItemWithSharedBlob(item);
+      if (sharedId !== null) {
+        return sharedId;
+      }
+    }
+
+    const stored = await putBlob(file);
+    blobId = stored.blobId;
+    const store = await transaction(STORES.MEDIA_QUEUE, 'readwrite');
+    return await new Promise((resolve, reject) => {
+      const request = store.add({ ...item, blobId, chunkCount: stored.chunkCount });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    if (blobId) {
+      await deleteBlob(blobId).catch(() => {});
+    }
+    if (originalBlobId) {
+      await deleteBlob(originalBlobId).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the stored file for a queue item
+ * Backed by the stored slices, so uploads can `slice()` it without reading everything.
+ */
+export async function getQueueItemFile(queueItem) {
+  const blob = await getBlob(queueItem.blobId, queueItem.fileType);
+  return new File([blob], queueItem.fileName, { type: queueItem.fileType });
+}
+
+/**
+ * Check whether a pending item's backoff has elapsed
+ */
+function isDue(item, now) {
+  return !item.nextAttemptAt || new Date(item.nextAttemptAt).getTime() <= now;
+}
+
+/**
+ * Get pending queue items that are due for an attempt
+ * Items still backing off (`nextAttemptAt` in the future) are skipped.
+ * @param {Object} [options] - { includeDeferred: true } to return all pending items
+ */
+export async function getPendingQueueItems({ includeDeferred = false } = {}) {
+  const store = await transaction(STORES.MEDIA_QUEUE);
+  const index = store.index('status');
+  const now = Date.now();
+  return new Promise((resolve, reject) => {
+    const request = index.getAll('pending');
+    request.onsuccess = () => {
+      const items = request.result || [];
+      resolve(includeDeferred ? items : items.filter(item => isDue(item, now)));
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the earliest time a backing-off pending item or operation becomes due
+ * @returns {Promise<number|null>} Epoch milliseconds, or null if nothing is waiting
+ */
+export async function getNextRetryTime() {
+  const items = await getPendingQueueItems({ includeDeferred: true });
+  const operations = await getAllOperations();
+  const times = [...items, ...operations.filter(operation => operation.status === 'pending')]
+    .filter(item => item.nextAttemptAt)
+    .map(item => new Date(item.nextAttemptAt).getTime());
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Atomically claim a pending queue item for upload
+ * Read and write happen in one transaction, so when several tabs (or the
+ * service worker) try to claim the same item only one of them gets it.
+ * The claim is a lease: the owner must renew it (renewLease) before
+ * `leaseExpiresAt`, or recoverExpiredLeases() hands the item back.
+ * @param {number} id - Queue item ID
+ * @param {string} ownerId - ID of the claiming context
+ * @param {number} leaseDuration - Lease length in milliseconds
+ * @returns {Promise<Object|null>} The claimed item, or null if it is no
+ *   longer pending/due (someone else took it, or it was changed)
+ */
+export async function claimQueueItem(id, ownerId, leaseDuration) {
   const store = await transaction(STORES.MEDIA_QUEUE, 'readwrite');
   return new Promise((resolve, reject) => {
-    // Convert File to ArrayBuffer for storage
-    const file = queueItem.file;
-    const reader = new FileReader();
-    
-    reader.onload = () => {
-      const item = {
-        submissionId: queueItem.submissionId,
-        fileName: file.name,
-        fileType: file.type,
-        fileSize: file.size,
-        fileData: reader.result, // ArrayBuffer
-        metadata: queueItem.metadata || {},
-        status: queueItem.status || 'pending',
-        attempts: queueItem.attempts || 0,
-        maxAttempts: queueItem.maxAttempts || 5,
-        error: null,
-        useChunked: queueItem.useChunked || false,
-        uploadProgress: 0, // 0-100 percentage
-        bytesUploaded: 0,
-        createdAt: new Date().toISOString()
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      const item = getRequest.result;
+      if (!item || item.status !== 'pending' || !isDue(item, Date.now())) {
+        resolve(null);
+        return;
+      }
+
+      const claimed = {
+        ...item,
+        status: 'uploading',
+        attempts: item.attempts + 1,
+        ownerId,
+        claimedAt: new Date().toISOString(),
+        leaseExpiresAt: new Date(Date.now() + leaseDuration).toISOString(),
+        controlRequest: null
       };
+      const putRequest = store.put(claimed);
+      putRequest.onsuccess = () => resolve(claimed);
+      putRequest.onerror = () => reject(putRequest.error);
+    };
+    getRequest.onerror = () => reject(getRequest.error);
+  });
+}
 
-      const request = store.add(item);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
+/**
+ * Extend the lease on an item this context is uploading
+ * @returns {Promise<boolean>} false if the lease was lost (item recovered or re-claimed)
+ */
+export async function renewLease(id, ownerId, leaseDuration) {
+  const store = await transaction(STORES.MEDIA_QUEUE, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      const item = getRequest.result;
+      if (!item || item.status !== 'uploading' || item.ownerId !== ownerId) {
+        resolve(false);
+        return;
+      }
+
+      const putRequest = store.put({
+        ...item,
+        leaseExpiresAt: new Date(Date.now() + leaseDuration).toISOString()
+      });
+      putRequest.onsuccess = () => resolve(true);
+      putRequest.onerror = () => reject(putRequest.error);
     };
+    getRequest.onerror = () => reject(getRequest.error);
+  });
+}
 
-    reader.onerror = () => reject(reader.error);
-    reader.readAsArrayBuffer(file);
+/**
+ * Return 'uploading' items whose lease expired to 'pending'
+ * Covers tabs killed mid-upload. The upload session and progress are kept
+ * so the next attempt resumes. Items without a lease (queued before leases
+ * existed) are treated as expired. A pause/cancel requested while the item
+ * was uploading (`controlRequest`) is applied instead.
+ * @returns {Promise<number>} Number of recovered items
+ */
+export async function recoverExpiredLeases() {
+  const store = await transaction(STORES.MEDIA_QUEUE, 'readwrite');
+  const index = store.index('status');
+  const now = Date.now();
+  return new Promise((resolve, reject) => {
+    let recovered = 0;
+    const request = index.openCursor('uploading');
+    request.onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        resolve(recovered);
+        return;
+      }
+
+      const item = cursor.value;
+      if (!item.leaseExpiresAt || new Date(item.leaseExpiresAt).getTime() <= now) {
+        cursor.update({
+          ...item,
+          status: 'pending',
+          ...item.controlRequest,
+          ownerId: null,
+          leaseExpiresAt: null,
+          controlRequest: null
+        });
+        recovered++;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Move an item to a user-requested state (paused, cancelled) atomically
+ * An item being uploaded only gets `controlRequest` set; whoever owns the
+ * upload applies it once the upload stops.
+ * @param {number} id - Queue item ID
+ * @param {Object} updates - Fields to apply, including `status`
+ * @returns {Promise<'applied'|'requested'|null>} null if the item is gone or already synced
+ */
+export async function requestQueueItemStatus(id, updates) {
+  const store = await transaction(STORES.MEDIA_QUEUE, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      const item = getRequest.result;
+      if (!item || item.status === 'synced') {
+        resolve(null);
+        return;
+      }
+
+      const uploading = item.status === 'uploading';
+      const putRequest = store.put(uploading
+        ? { ...item, controlRequest: updates }
+        : { ...item, ...updates, nextAttemptAt: null });
+      putRequest.onsuccess = () => resolve(uploading ? 'requested' : 'applied');
+      putRequest.onerror = () => reject(putRequest.error);
+    };
+    getRequest.onerror = () => reject(getRequest.error);
   });
 }
 
 /**
- * Get all pending queue items
+ * Get a single queue item
  */
-export async function getPendingQueueItems() {
+export async function getQueueItem(id) {
   const store = await transaction(STORES.MEDIA_QUEUE);
-  const index = store.index('status');
   return new Promise((resolve, reject) => {
-    const request = index.getAll('pending');
-    request.onsuccess = () => resolve(request.result || []);
+    const request = store.get(id);
+    request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
   });
 }
@@ -206,6 +725,20 @@ export async function getAllQueueItems() {
   });
 }
 
+/**
+ * Get a queue item whose stored file has this content hash
+ * @returns {Promise<Object|null>}
+ */
+export async function getQueueItemByContentHash(contentHash) {
+  const store = await transaction(STORES.MEDIA_QUEUE);
+  const index = store.index('contentHash');
+  return new Promise((resolve, reject) => {
+    const request = index.get(contentHash);
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Get queue items by submission ID
  */
@@ -242,10 +775,129 @@ export async function updateQueueItem(id, updates) {
 }
 
 /**
- * Delete queue item
+ * Delete queue item and its stored file data
+ * The file is kept while other items (same content hash) still share it.
  */
 export async function deleteQueueItem(id) {
   const store = await transaction(STORES.MEDIA_QUEUE, 'readwrite');
+  const { item, blobShared } = await new Promise((resolve, reject) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      const result = getRequest.result;
+      const request = store.delete(id);
+      request.onsuccess = () => {
+        if (!result || !result.contentHash) {
+          resolve({ item: result, blobShared: false });
+          return;
+        }
+        const sharingRequest = store.index('contentHash').getAll(result.contentHash);
+        sharingRequest.onsuccess = () => resolve({
+          item: result,
+          blobShared: sharingRequest.result.some(other => other.blobId === result.blobId)
+        });
+        sharingRequest.onerror = () => reject(sharingRequest.error);
+      };
+      request.onerror = () => reject(request.error);
+    };
+    getRequest.onerror = () => reject(getRequest.error);
+  });
+
+  if (item && item.blobId && !blobShared) {
+    await deleteBlob(item.blobId);
+  }
+  if (item && item.originalBlobId) {
+    await deleteBlob(item.originalBlobId);
+  }
+}
+
+/**
+ * Operations outbox
+ * Server changes other than file uploads. Operations of one submission are
+ * replayed in the order they were added (see sync.js).
+ */
+
+function createOperation(operation) {
+  return {
+    type: operation.type, // create | update | delete | delete-media
+    submissionId: operation.submissionId, // local record ID (kept after the record is deleted)
+    payload: operation.payload || {}, // e.g. { serverId, clientId } for a delete
+    status: 'pending', // pending | running | failed; done operations are removed
+    attempts: 0,
+    maxAttempts: operation.maxAttempts || 5,
+    nextAttemptAt: null,
+    error: null,
+    errorReason: null,
+    permanentFailure: false,
+    idempotencyKey: operation.idempotencyKey || generateId(), // stable across retries and reloads
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Add an operation to the outbox
+ * @param {Object} operation - { type, submissionId, payload }
+ * @returns {Promise<number>} Operation ID
+ */
+export async function addOperation(operation) {
+  const store = await transaction(STORES.OPERATIONS, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const request = store.add(createOperation(operation));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function getOperation(id) {
+  const store = await transaction(STORES.OPERATIONS);
+  return new Promise((resolve, reject) => {
+    const request = store.get(id);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get all operations (any status) in the order they were added
+ */
+export async function getAllOperations() {
+  const store = await transaction(STORES.OPERATIONS);
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function getOperationsBySubmissionId(submissionId) {
+  const store = await transaction(STORES.OPERATIONS);
+  const index = store.index('submissionId');
+  return new Promise((resolve, reject) => {
+    const request = index.getAll(submissionId);
+    request.onsuccess = () => resolve(request.result || []);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function updateOperation(id, updates) {
+  const store = await transaction(STORES.OPERATIONS, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      const operation = getRequest.result;
+      if (!operation) {
+        reject(new Error('Operation not found'));
+        return;
+      }
+      const putRequest = store.put({ ...operation, ...updates });
+      putRequest.onsuccess = () => resolve(putRequest.result);
+      putRequest.onerror = () => reject(putRequest.error);
+    };
+    getRequest.onerror = () => reject(getRequest.error);
+  });
+}
+
+export async function deleteOperation(id) {
+  const store = await transaction(STORES.OPERATIONS, 'readwrite');
   return new Promise((resolve, reject) => {
     const request = store.delete(id);
     request.onsuccess = () => resolve();
@@ -254,10 +906,47 @@ export async function deleteQueueItem(id) {
 }
 
 /**
- * Convert ArrayBuffer back to File
+ * Settings (key/value)
  */
-export function arrayBufferToFile(arrayBuffer, fileName, fileType) {
-  const blob = new Blob([arrayBuffer], { type: fileType });
-  return new File([blob], fileName, { type: fileType });
+
+export async function getSetting(key) {
+  const store = await transaction(STORES.SETTINGS);
+  return new Promise((resolve, reject) => {
+    const request = store.get(key);
+    request.onsuccess = () => resolve(request.result ? request.result.value : undefined);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function setSetting(key, value) {
+  const store = await transaction(STORES.SETTINGS, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const request = store.put({ key, value, updatedAt: new Date().toISOString() });
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function deleteSetting(key) {
+  const store = await transaction(STORES.SETTINGS, 'readwrite');
+  return new Promise((resolve, reject) => {
+    const request = store.delete(key);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
 }
 
+/**
+ * Delete all submissions, queued uploads, unsent operations and stored media
+ * Settings are kept.
+ */
+export async function clearAllData() {
+  const database = await openDB();
+  const storeNames = [STORES.RECORDS, STORES.MEDIA_QUEUE, STORES.MEDIA_CHUNKS, STORES.OPERATIONS];
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(storeNames, 'readwrite');
+    storeNames.forEach(name => tx.objectStore(name).clear());
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,494 @@
+/**
+ * EXIF - Read photo metadata and write sanitized JPEG copies
+ *
+ * Only the JPEG header is read and rewritten: metadata segments are dropped
+ * or replaced, and the compressed image data is reused as a `blob.slice()`
+ * up to the end-of-image marker, so photos are never fully loaded into
+ * memory. Anything after that marker (MPF-embedded images, vendor trailers)
+ * is dropped, since it can carry metadata of its own.
+ *
+ * Sanitize policy (VITE_EXIF_POLICY):
+ * - 'strip' (default): remove all metadata
+ * - 'time': keep the capture time only
+ * - 'all': upload the file's metadata unchanged
+ * Orientation is kept under every policy; without it photos display sideways.
+ */
+
+export const EXIF_POLICIES = {
+  STRIP: 'strip',
+  TIME: 'time',
+  ALL: 'all'
+};
+
+export const EXIF_POLICY = Object.values(EXIF_POLICIES).includes(import.meta.env.VITE_EXIF_POLICY)
+  ? import.meta.env.VITE_EXIF_POLICY
+  : EXIF_POLICIES.STRIP;
+
+const MARKER_SOI = 0xFFD8;
+const MARKER_SOS = 0xFFDA;
+const MARKER_APP0 = 0xFFE0;
+const MARKER_APP1 = 0xFFE1;
+const MARKER_APP2 = 0xFFE2;
+
+/**
+ * Bytes of image data searched at a time for the end-of-image marker
+ */
+const SCAN_SLICE_SIZE = 1024 * 1024;
+
+const MPF_HEADER = [0x4D, 0x50, 0x46, 0]; // "MPF\0"
+
+/**
+ * Header segments kept when sanitizing: APP0 (JFIF), APP2 (ICC colour
+ * profile; MPF is dropped separately, see isMpfSegment), APP14 (Adobe colour
+ * transform) and all non-APP segments (quantization/Huffman tables, frame
+ * header). Dropped: APP1 (EXIF, XMP), APP13 (IPTC), other vendor APPn and
+ * comments.
+ */
+function isKeptSegment(marker) {
+  if (marker === 0xFFFE) return false; // COM
+  if (marker >= 0xFFE0 && marker <= 0xFFEF) {
+    return marker === 0xFFE0 || marker === 0xFFE2 || marker === 0xFFEE;
+  }
+  return true;
+}
+
+const TAGS = {
+  ORIENTATION: 0x0112,
+  DATE_TIME: 0x0132,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  DATE_TIME_ORIGINAL: 0x9003,
+  OFFSET_TIME_ORIGINAL: 0x9011,
+  GPS_VERSION: 0x0000,
+  GPS_LATITUDE_REF: 0x0001,
+  GPS_LATITUDE: 0x0002,
+  GPS_LONGITUDE_REF: 0x0003,
+  GPS_LONGITUDE: 0x0004,
+  GPS_ALTITUDE_REF: 0x0005,
+  GPS_ALTITUDE: 0x0006
+};
+
+const TYPES = {
+  BYTE: 1,
+  ASCII: 2,
+  SHORT: 3,
+  LONG: 4,
+  RATIONAL: 5
+};
+
+/**
+ * Bytes per value, by TIFF type
+ */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0, 0]; // "Exif\0\0"
+
+async function readBytes(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+/**
+ * List the segments before the image data
+ * @returns {Promise<{segments: Array<{marker, offset, end}>, dataOffset: number}|null>}
+ *   null if the file is not a JPEG
+ */
+async function readJpegSegments(file) {
+  if (file.size < 4 || (await readBytes(file, 0, 2)).getUint16(0) !== MARKER_SOI) {
+    return null;
+  }
+
+  const segments = [];
+  let offset = 2;
+  while (offset + 4 <= file.size) {
+    const view = await readBytes(file, offset, offset + 4);
+    const marker = view.getUint16(0);
+
+    if (marker === 0xFFFF) {
+      // Fill byte before a marker
+      offset++;
+      continue;
+    }
+    if ((marker & 0xFF00) !== 0xFF00) {
+      throw new Error('Invalid JPEG header');
+    }
+    if (marker === MARKER_SOS) {
+      return { segments, dataOffset: offset };
+    }
+
+    const end = offset + 2 + view.getUint16(2);
+    segments.push({ marker, offset, end });
+    offset = end;
+  }
+
+  throw new Error('JPEG image data not found');
+}
+
+/**
+ * Whether an APP2 segment is an MPF index (it points at images appended
+ * after the main one, which sanitizeJpeg drops)
+ */
+async function isMpfSegment(file, segment) {
+  if (segment.marker !== MARKER_APP2 || segment.end - segment.offset < 8) {
+    return false;
+  }
+  const view = await readBytes(file, segment.offset + 4, segment.offset + 8);
+  return MPF_HEADER.every((byte, i) => view.getUint8(i) === byte);
+}
+
+/**
+ * Offset just past the end-of-image marker (0xFFD9)
+ * Inside the compressed data 0xFF is only followed by 0x00, a restart marker
+ * or the tables of the next scan, so the first 0xFFD9 ends the image.
+ */
+async function findImageEnd(file, start) {
+  for (let offset = start; offset < file.size; offset += SCAN_SLICE_SIZE) {
+    // One byte of overlap, for a marker split across two slices
+    const bytes = new Uint8Array(await file.slice(offset, offset + SCAN_SLICE_SIZE + 1).arrayBuffer());
+    for (let i = bytes.indexOf(0xFF); i !== -1 && i + 1 < bytes.length; i = bytes.indexOf(0xFF, i + 1)) {
+      if (bytes[i + 1] === 0xD9) {
+        return offset + i + 2;
+      }
+    }
+  }
+  throw new Error('JPEG end of image not found');
+}
+
+/**
+ * Read one IFD into { tag: value }
+ */
+function readIfd(view, tiffStart, ifdOffset, little) {
+  const tags = {};
+  const entryCount = view.getUint16(tiffStart + ifdOffset, little);
+
+  for (let i = 0; i < entryCount; i++) {
+    const entry = tiffStart + ifdOffset + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const count = view.getUint32(entry + 4, little);
+    const size = (TYPE_SIZES[type] || 0) * count;
+    if (!size) continue;
+
+    const valueOffset = size <= 4 ? entry + 8 : tiffStart + view.getUint32(entry + 8, little);
+    if (valueOffset + size > view.byteLength) continue;
+
+    tags[tag] = readValue(view, type, count, valueOffset, little);
+  }
+
+  return tags;
+}
+
+function readValue(view, type, count, offset, little) {
+  if (type === TYPES.ASCII) {
+    let text = '';
+    for (let i = 0; i < count; i++) {
+      const code = view.getUint8(offset + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text.trim();
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    switch (type) {
+      case TYPES.SHORT:
+        values.push(view.getUint16(offset + i * 2, little));
+        break;
+      case TYPES.LONG:
+        values.push(view.getUint32(offset + i * 4, little));
+        break;
+      case TYPES.RATIONAL: {
+        const denominator = view.getUint32(offset + i * 8 + 4, little);
+        values.push(denominator ? view.getUint32(offset + i * 8, little) / denominator : 0);
+        break;
+      }
+      default:
+        values.push(view.getUint8(offset + i));
+    }
+  }
+  return count === 1 ? values[0] : values;
+}
+
+/**
+ * "2024:05:01 10:20:30" (+ "+02:00") -> "2024-05-01T10:20:30+02:00"
+ */
+function toIsoDateTime(exifDate, offsetTime) {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(exifDate || '');
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match;
+  const offset = /^[+-]\d{2}:\d{2}$/.test(offsetTime || '') ? offsetTime : '';
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${offset}`;
+}
+
+function toDecimalDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length !== 3) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Parse the TIFF structure inside an EXIF segment
+ */
+function parseTiff(view, tiffStart) {
+  const little = view.getUint16(tiffStart) === 0x4949; // "II"
+  if (view.getUint16(tiffStart + 2, little) !== 42) {
+    return null;
+  }
+
+  const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little);
+  const exifIfd = ifd0[TAGS.EXIF_IFD] ? readIfd(view, tiffStart, ifd0[TAGS.EXIF_IFD], little) : {};
+  const gpsIfd = ifd0[TAGS.GPS_IFD] ? readIfd(view, tiffStart, ifd0[TAGS.GPS_IFD], little) : {};
+
+  const latitude = toDecimalDegrees(gpsIfd[TAGS.GPS_LATITUDE], gpsIfd[TAGS.GPS_LATITUDE_REF]);
+  const longitude = toDecimalDegrees(gpsIfd[TAGS.GPS_LONGITUDE], gpsIfd[TAGS.GPS_LONGITUDE_REF]);
+  const altitude = typeof gpsIfd[TAGS.GPS_ALTITUDE] === 'number'
+    ? gpsIfd[TAGS.GPS_ALTITUDE] * (gpsIfd[TAGS.GPS_ALTITUDE_REF] === 1 ? -1 : 1)
+    : null;
+
+  return {
+    capturedAt: toIsoDateTime(
+      exifIfd[TAGS.DATE_TIME_ORIGINAL] || ifd0[TAGS.DATE_TIME],
+      exifIfd[TAGS.OFFSET_TIME_ORIGINAL]
+    ),
+    orientation: typeof ifd0[TAGS.ORIENTATION] === 'number' ? ifd0[TAGS.ORIENTATION] : null,
+    location: latitude !== null && longitude !== null
+      ? { latitude, longitude, altitude }
+      : null
+  };
+}
+
+function isExifSegment(view) {
+  return EXIF_HEADER.every((byte, i) => view.byteLength > 4 + i && view.getUint8(4 + i) === byte);
+}
+
+/**
+ * Read capture time, orientation and location from a JPEG
+ * @param {Blob} file
+ * @returns {Promise<{capturedAt: string|null, orientation: number|null,
+ *   location: {latitude, longitude, altitude}|null}|null>} null when the
+ *   file is not a JPEG or carries no readable EXIF
+ */
+export async function readExif(file) {
+  try {
+    const jpeg = await readJpegSegments(file);
+    if (!jpeg) return null;
+
+    for (const segment of jpeg.segments) {
+      if (segment.marker !== MARKER_APP1) continue;
+
+      const view = await readBytes(file, segment.offset, segment.end);
+      if (isExifSegment(view)) {
+        return parseTiff(view, 4 + EXIF_HEADER.length);
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error('Error reading EXIF:', error);
+    return null;
+  }
+}
+
+/**
+ * Encode a value as big-endian TIFF bytes
+ */
+function encodeValue(type, value) {
+  if (type === TYPES.ASCII) {
+    const text = value + '\0';
+    return Uint8Array.from(text, char => char.charCodeAt(0));
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  const size = TYPE_SIZES[type];
+  const bytes = new Uint8Array(values.length * size);
+  const view = new DataView(bytes.buffer);
+  values.forEach((v, i) => {
+    if (type === TYPES.BYTE) view.setUint8(i, v);
+    else if (type === TYPES.SHORT) view.setUint16(i * 2, v);
+    else if (type === TYPES.LONG) view.setUint32(i * 4, v);
+    else if (type === TYPES.RATIONAL) {
+      view.setUint32(i * 8, v[0]);
+      view.setUint32(i * 8 + 4, v[1]);
+    }
+  });
+  return bytes;
+}
+
+function entry(tag, type, value) {
+  const bytes = encodeValue(type, value);
+  return { tag, type, count: type === TYPES.ASCII ? bytes.length : bytes.length / TYPE_SIZES[type], bytes };
+}
+
+/**
+ * Size of an IFD including its out-of-line values (kept word aligned)
+ */
+function ifdSize(entries) {
+  return entries.reduce(
+    (size, e) => size + (e.bytes.length > 4 ? e.bytes.length + (e.bytes.length % 2) : 0),
+    2 + entries.length * 12 + 4
+  );
+}
+
+function writeIfd(view, bytes, offset, entries) {
+  const sorted = [...entries].sort((a, b) => a.tag - b.tag);
+  let dataOffset = offset + 2 + sorted.length * 12 + 4;
+
+  view.setUint16(offset, sorted.length);
+  sorted.forEach((e, i) => {
+    const position = offset + 2 + i * 12;
+    view.setUint16(position, e.tag);
+    view.setUint16(position + 2, e.type);
+    view.setUint32(position + 4, e.count);
+    if (e.bytes.length <= 4) {
+      bytes.set(e.bytes, position + 8);
+    } else {
+      view.setUint32(position + 8, dataOffset);
+      bytes.set(e.bytes, dataOffset);
+      dataOffset += e.bytes.length + (e.bytes.length % 2);
+    }
+  });
+  view.setUint32(offset + 2 + sorted.length * 12, 0); // no next IFD
+}
+
+function toRational(value, precision = 1000) {
+  return [Math.round(Math.abs(value) * precision), precision];
+}
+
+function toDmsRationals(decimal) {
+  const abs = Math.abs(decimal);
+  const degrees = Math.floor(abs);
+  const minutes = Math.floor((abs - degrees) * 60);
+  const seconds = ((abs - degrees) * 60 - minutes) * 60;
+  return [[degrees, 1], [minutes, 1], toRational(seconds, 10000)];
+}
+
+/**
+ * Build an APP1 EXIF segment holding only the given fields
+ * @param {Object} fields - { capturedAt, orientation, location }
+ * @returns {Uint8Array|null} null when there is nothing to write
+ */
+function buildExifSegment({ capturedAt, orientation, location }) {
+  const ifd0 = [];
+  const exifIfd = [];
+  const gpsIfd = [];
+
+  if (orientation) {
+    ifd0.push(entry(TAGS.ORIENTATION, TYPES.SHORT, orientation));
+  }
+
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}:\d{2}:\d{2})(.*)$/.exec(capturedAt || '');
+  if (dateMatch) {
+    const [, year, month, day, time, offset] = dateMatch;
+    exifIfd.push(entry(TAGS.DATE_TIME_ORIGINAL, TYPES.ASCII, `${year}:${month}:${day} ${time}`));
+    if (offset) {
+      exifIfd.push(entry(TAGS.OFFSET_TIME_ORIGINAL, TYPES.ASCII, offset));
+    }
+  }
+
+  if (location) {
+    gpsIfd.push(entry(TAGS.GPS_VERSION, TYPES.BYTE, [2, 3, 0, 0]));
+    gpsIfd.push(entry(TAGS.GPS_LATITUDE_REF, TYPES.ASCII, location.latitude < 0 ? 'S' : 'N'));
+    gpsIfd.push(entry(TAGS.GPS_LATITUDE, TYPES.RATIONAL, toDmsRationals(location.latitude)));
+    gpsIfd.push(entry(TAGS.GPS_LONGITUDE_REF, TYPES.ASCII, location.longitude < 0 ? 'W' : 'E'));
+    gpsIfd.push(entry(TAGS.GPS_LONGITUDE, TYPES.RATIONAL, toDmsRationals(location.longitude)));
+    if (typeof location.altitude === 'number') {
+      gpsIfd.push(entry(TAGS.GPS_ALTITUDE_REF, TYPES.BYTE, location.altitude < 0 ? 1 : 0));
+      gpsIfd.push(entry(TAGS.GPS_ALTITUDE, TYPES.RATIONAL, [toRational(location.altitude)]));
+    }
+  }
+
+  if (ifd0.length === 0 && exifIfd.length === 0 && gpsIfd.length === 0) {
+    return null;
+  }
+
+  // Layout (offsets relative to the TIFF header): header, IFD0, EXIF IFD, GPS IFD
+  const ifd0Size = ifdSize(ifd0) + (exifIfd.length ? 12 : 0) + (gpsIfd.length ? 12 : 0);
+  const exifIfdOffset = 8 + ifd0Size;
+  const gpsIfdOffset = exifIfdOffset + (exifIfd.length ? ifdSize(exifIfd) : 0);
+  if (exifIfd.length) ifd0.push(entry(TAGS.EXIF_IFD, TYPES.LONG, exifIfdOffset));
+  if (gpsIfd.length) ifd0.push(entry(TAGS.GPS_IFD, TYPES.LONG, gpsIfdOffset));
+  const tiffSize = gpsIfdOffset + (gpsIfd.length ? ifdSize(gpsIfd) : 0);
+
+  const tiff = new Uint8Array(tiffSize);
+  const view = new DataView(tiff.buffer);
+  view.setUint16(0, 0x4D4D); // "MM" - big endian
+  view.setUint16(2, 42);
+  view.setUint32(4, 8);
+  writeIfd(view, tiff, 8, ifd0);
+  if (exifIfd.length) writeIfd(view, tiff, exifIfdOffset, exifIfd);
+  if (gpsIfd.length) writeIfd(view, tiff, gpsIfdOffset, gpsIfd);
+
+  const segment = new Uint8Array(4 + EXIF_HEADER.length + tiffSize);
+  const segmentView = new DataView(segment.buffer);
+  segmentView.setUint16(0, MARKER_APP1);
+  segmentView.setUint16(2, segment.length - 2);
+  segment.set(EXIF_HEADER, 4);
+  segment.set(tiff, 4 + EXIF_HEADER.length);
+  return segment;
+}
+
+/**
+ * Fields written back under a policy
+ */
+function fieldsForPolicy(exif, policy, orientationApplied) {
+  const fields = {
+    capturedAt: null,
+    orientation: orientationApplied ? null : exif.orientation,
+    location: null
+  };
+  if (policy === EXIF_POLICIES.TIME || policy === EXIF_POLICIES.ALL) {
+    fields.capturedAt = exif.capturedAt;
+  }
+  if (policy === EXIF_POLICIES.ALL) {
+    fields.location = exif.location;
+  }
+  return fields;
+}
+
+/**
+ * Write a copy of a JPEG with metadata reduced to what the policy allows
+ *
+ * @param {File} file - JPEG to sanitize (returned unchanged if not a JPEG)
+ * @param {Object|null} exif - Metadata from readExif() of the original photo
+ * @param {Object} [options] - { policy, orientationApplied }; set
+ *   orientationApplied when `file` is a re-encoded copy whose pixels are
+ *   already upright, so no orientation tag is written
+ * @returns {Promise<File>}
+ */
+export async function sanitizeJpeg(file, exif, options = {}) {
+  const { policy = EXIF_POLICY, orientationApplied = false } = options;
+
+  // Original file: its metadata is already "everything"
+  if (policy === EXIF_POLICIES.ALL && !orientationApplied) {
+    return file;
+  }
+
+  const jpeg = await readJpegSegments(file);
+  if (!jpeg) {
+    return file;
+  }
+
+  const kept = [];
+  for (const segment of jpeg.segments) {
+    if (isKeptSegment(segment.marker) && !(await isMpfSegment(file, segment))) {
+      kept.push(segment);
+    }
+  }
+  const imageEnd = await findImageEnd(file, jpeg.dataOffset);
+  const exifSegment = exif ? buildExifSegment(fieldsForPolicy(exif, policy, orientationApplied)) : null;
+
+  // EXIF goes after JFIF (APP0), ahead of everything else
+  const leading = kept.filter(segment => segment.marker === MARKER_APP0);
+  const rest = kept.filter(segment => segment.marker !== MARKER_APP0);
+
+  const parts = [
+    new Uint8Array([0xFF, 0xD8]),
+    ...leading.map(segment => file.slice(segment.offset, segment.end)),
+    ...(exifSegment ? [exifSegment] : []),
+    ...rest.map(segment => file.slice(segment.offset, segment.end)),
+    file.slice(jpeg.dataOffset, imageEnd)
+  ];
+
+  return new File(parts, file.name, { type: file.type, lastModified: file.lastModified });
+}
@@ -0,0 +1,106 @@
+/**
+ * Cross-context Lock - One holder across tabs and the service worker
+ *
+ * Uses the Web Locks API where available. Otherwise falls back to asking
+ * other contexts over a BroadcastChannel whether they hold the lock; that
+ * fallback is best-effort (two contexts asking at the same moment can both
+ * win), so callers must still claim shared work atomically (db.claimQueueItem).
+ */
+
+import { generateId } from './utils.js';
+
+const CHANNEL_NAME = 'offline-media-pwa-locks';
+
+/**
+ * How long to wait for a holder to answer before assuming the lock is free
+ */
+const QUERY_TIMEOUT = 150;
+
+const heldLocks = new Set();
+let channel = null;
+
+function getChannel() {
+  if (!channel) {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', (event) => {
+      const message = event.data || {};
+      if (message.type === 'query' && heldLocks.has(message.name)) {
+        channel.postMessage({ type: 'held', name: message.name, id: message.id });
+      }
+    });
+  }
+  return channel;
+}
+
+/**
+ * Fallback: ask other contexts whether they hold the lock
+ */
+async function acquireViaBroadcast(name) {
+  if (heldLocks.has(name)) {
+    return false;
+  }
+
+  const ch = getChannel();
+  const id = generateId();
+
+  const heldElsewhere = await new Promise(resolve => {
+    const timer = setTimeout(() => finish(false), QUERY_TIMEOUT);
+
+    function onMessage(event) {
+      const message = event.data || {};
+      if (message.type === 'held' && message.id === id) {
+        finish(true);
+      }
+    }
+
+    function finish(result) {
+      clearTimeout(timer);
+      ch.removeEventListener('message', onMessage);
+      resolve(result);
+    }
+
+    ch.addEventListener('message', onMessage);
+    ch.postMessage({ type: 'query', name, id });
+  });
+
+  if (heldElsewhere || heldLocks.has(name)) {
+    return false;
+  }
+
+  heldLocks.add(name);
+  return true;
+}
+
+/**
+ * Run `callback` while holding the named lock, if nobody else holds it
+ *
+ * @param {string} name - Lock name
+ * @param {Function} callback - async () => result
+ * @returns {Promise<{acquired: boolean, result: *}>} acquired is false when
+ *   another tab or the service worker holds the lock (callback not run)
+ */
+export async function tryWithLock(name, callback) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(name, { ifAvailable: true }, async (lock) => {
+      if (!lock) {
+        return { acquired: false, result: undefined };
+      }
+      return { acquired: true, result: await callback() };
+    });
+  }
+
+  if (typeof BroadcastChannel === 'undefined') {
+    // No way to coordinate; rely on atomic claims alone
+    return { acquired: true, result: await callback() };
+  }
+
+  if (!(await acquireViaBroadcast(name))) {
+    return { acquired: false, result: undefined };
+  }
+
+  try {
+    return { acquired: true, result: await callback() };
+  } finally {
+    heldLocks.delete(name);
+  }
+}
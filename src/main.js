@@ -16,10 +16,11 @@ async function registerServiceWorker() {
   if ('serviceWorker' in navigator) {
     try {
       // Use the service worker from the public directory
-      // Vite PWA plugin will handle the build-time injection
-      const registration = await navigator.serviceWorker.register('/service-worker.js', {
-        scope: '/'
-      });
+      // Vite PWA plugin bundles it at build time; in development it serves
+      // the unbundled worker as an ES module at /dev-sw.js
+      const registration = import.meta.env.DEV
+        ? await navigator.serviceWorker.register('/dev-sw.js?dev-sw', { scope: '/', type: 'module' })
+        : await navigator.serviceWorker.register('/service-worker.js', { scope: '/' });
 
       console.log('Service Worker registered:', registration);
 
@@ -37,6 +38,7 @@ async function registerServiceWorker() {
       // Listen for messages from service worker
       navigator.serviceWorker.addEventListener('message', (event) => {
         console.log('Message from service worker:', event.data);
+        // Progress and status arrive via sync.js's BroadcastChannel
         if (event.data && event.data.type === 'SYNC_COMPLETE') {
           // Refresh UI when sync completes
           ui.loadQueue();
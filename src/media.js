@@ -0,0 +1,301 @@
+/**
+ * Media Processing - Optional image downscaling before files are queued
+ *
+ * Runs between the submission form and the queue. Photos larger than the
+ * configured max dimension are resized and re-encoded in a Web Worker
+ * (OffscreenCanvas); everything else passes through untouched. Browsers
+ * without Worker/OffscreenCanvas support store files as picked. JPEG
+ * metadata is reduced according to the EXIF policy (see exif.js), a
+ * thumbnail is made for the submissions list, and the SHA-256 of the file to
+ * upload is computed (in a second worker) so duplicates can be detected.
+ */
+
+import * as exif from './exif.js';
+import { createThumbnail } from './thumbnails.js';
+import { hashBlob } from './sha256.js';
+
+/**
+ * Longest edge in pixels after resizing; 0 disables image processing
+ */
+export const IMAGE_MAX_DIMENSION = parseInt(import.meta.env.VITE_IMAGE_MAX_DIMENSION ?? '2048', 10) || 0;
+
+/**
+ * Encoder quality (0-1) for re-encoded images
+ */
+export const IMAGE_QUALITY = parseFloat(import.meta.env.VITE_IMAGE_QUALITY) || 0.85;
+
+/**
+ * Keep the untouched original on the device alongside the resized copy
+ */
+export const KEEP_ORIGINAL_IMAGES = import.meta.env.VITE_KEEP_ORIGINAL_IMAGES === 'true';
+
+/**
+ * Types we re-encode. GIF (animation) and SVG (vector) are left alone.
+ */
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Image types that carry no EXIF, so the metadata policy leaves them alone
+ */
+const METADATA_FREE_TYPES = ['image/gif', 'image/svg+xml'];
+
+let worker = null;
+let hashWorker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Whether this browser can process images in a worker
+ */
+export function isImageProcessingSupported() {
+  return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+}
+
+/**
+ * Settle the request a worker answered (both workers reply with { id, error } on failure)
+ */
+function handleWorkerMessage(event) {
+  const { id, error } = event.data;
+  const request = pendingRequests.get(id);
+  if (!request) return;
+
+  pendingRequests.delete(id);
+  if (error) {
+    request.reject(new Error(error));
+  } else {
+    request.resolve(event.data);
+  }
+}
+
+/**
+ * A worker crashed, failed to load or sent a message that could not be read:
+ * reject everything it was working on and drop it, so the next request
+ * starts a new one
+ */
+function handleWorkerFailure(target, event) {
+  const error = new Error(event.message || `Worker ${event.type}`);
+  console.error('Media worker failed:', error);
+
+  target.terminate();
+  if (target === worker) worker = null;
+  if (target === hashWorker) hashWorker = null;
+
+  for (const [id, request] of pendingRequests) {
+    if (request.target === target) {
+      pendingRequests.delete(id);
+      request.reject(error);
+    }
+  }
+}
+
+function listenToWorker(target) {
+  target.addEventListener('message', handleWorkerMessage);
+  target.addEventListener('error', event => handleWorkerFailure(target, event));
+  target.addEventListener('messageerror', event => handleWorkerFailure(target, event));
+}
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./workers/image-worker.js', import.meta.url), { type: 'module' });
+    listenToWorker(worker);
+  }
+  return worker;
+}
+
+function getHashWorker() {
+  if (!hashWorker) {
+    hashWorker = new Worker(new URL('./workers/hash-worker.js', import.meta.url), { type: 'module' });
+    listenToWorker(hashWorker);
+  }
+  return hashWorker;
+}
+
+function postToWorker(target, message) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, { resolve, reject, target });
+    target.postMessage({ id, ...message });
+  });
+}
+
+/**
+ * Resize one image in the worker
+ * @returns {Promise<Blob>}
+ */
+async function resizeInWorker(file, options) {
+  const { blob } = await postToWorker(getWorker(), { file, ...options });
+  return blob;
+}
+
+/**
+ * SHA-256 of a file, in the hash worker where available
+ * Falls back to the main thread when there is no worker or it fails.
+ * @returns {Promise<string|null>} Lowercase hex; null when hashing fails
+ */
+export async function hashFile(file) {
+  try {
+    if (typeof Worker !== 'undefined') {
+      try {
+        const { hash } = await postToWorker(getHashWorker(), { file });
+        return hash;
+      } catch (error) {
+        console.warn(`Hash worker failed for ${file.name}, hashing on the main thread:`, error);
+      }
+    }
+    return await hashBlob(file);
+  } catch (error) {
+    console.error(`Error hashing ${file.name}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Output type: PNG stays PNG (it may carry transparency), the rest become JPEG
+ */
+function outputType(file) {
+  return file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+}
+
+/**
+ * Replace the extension when the encoding changed (photo.webp -> photo.jpg)
+ */
+function renameForType(name, type) {
+  const extension = type === 'image/png' ? '.png' : '.jpg';
+  const base = name.includes('.') ? name.slice(0, name.lastIndexOf('.')) : name;
+  return base + extension;
+}
+
+/**
+ * Resize a photo if it is processable and larger than needed
+ * @returns {Promise<File|null>} The resized copy, or null to keep the file as is
+ */
+async function resizeImage(file, { maxDimension, quality }) {
+  if (!maxDimension || !PROCESSABLE_TYPES.includes(file.type) || !isImageProcessingSupported()) {
+    return null;
+  }
+
+  try {
+    const type = outputType(file);
+    const blob = await resizeInWorker(file, { maxDimension, quality, type });
+
+    // Already small and well compressed - re-encoding only made it bigger
+    if (blob.size >= file.size) {
+      return null;
+    }
+
+    return new File([blob], renameForType(file.name, type), {
+      type,
+      lastModified: file.lastModified
+    });
+  } catch (error) {
+    // Undecodable image (e.g. HEIC on some browsers): queue it as is
+    console.error(`Error processing ${file.name}, keeping original:`, error);
+    return null;
+  }
+}
+
+/**
+ * Re-encode an image at full size in the worker; the canvas writes no metadata
+ * @returns {Promise<File>}
+ */
+async function reencodeImage(file, quality) {
+  if (!isImageProcessingSupported()) {
+    throw new Error('this browser cannot re-encode images');
+  }
+  const type = outputType(file);
+  const blob = await resizeInWorker(file, { maxDimension: Infinity, quality, type });
+  return new File([blob], renameForType(file.name, type), {
+    type,
+    lastModified: file.lastModified
+  });
+}
+
+/**
+ * Apply the EXIF policy to the file that will be uploaded
+ * JPEG headers are rewritten (see exif.js). If that fails, and for other
+ * photos that were not resized (PNG/WebP metadata chunks, HEIC, TIFF), the
+ * image is re-encoded instead. Unless the policy keeps all metadata, a file
+ * that cannot be cleaned is rejected rather than uploaded as is.
+ * @throws {Error} When the metadata cannot be removed
+ */
+async function applyExifPolicy(upload, original, photoInfo, { policy, resized, quality }) {
+  const keepAll = policy === exif.EXIF_POLICIES.ALL;
+
+  if (upload.type === 'image/jpeg') {
+    try {
+      return await exif.sanitizeJpeg(upload, photoInfo, {
+        policy,
+        orientationApplied: resized // the worker draws photos upright
+      });
+    } catch (error) {
+      console.error(`Error removing metadata from ${original.name}:`, error);
+      if (keepAll) {
+        return upload;
+      }
+    }
+  } else if (keepAll || resized || !upload.type.startsWith('image/') || METADATA_FREE_TYPES.includes(upload.type)) {
+    // Resized copies come from a canvas and carry no metadata
+    return upload;
+  }
+
+  try {
+    return await reencodeImage(upload, quality);
+  } catch (error) {
+    throw new Error(`Could not remove metadata from ${original.name}: ${error.message}`);
+  }
+}
+
+/**
+ * Prepare one file for the queue
+ * Reads EXIF from the original, resizes it, then applies the EXIF policy
+ * to the file that will be uploaded. Rejects photos whose metadata cannot be
+ * removed (see applyExifPolicy).
+ * @param {File} file - File picked by the user
+ * @param {Object} [options] - { maxDimension, quality, keepOriginal, exifPolicy }
+ * @returns {Promise<{file: File, original: File|null, originalSize: number,
+ *   processedSize: number, metadata: Object, thumbnail: Blob|null,
+ *   contentHash: string|null}>} `file` is what gets uploaded; `original` is
+ *   set when the original is kept too; `metadata` holds
+ *   capturedAt/orientation/location read from the photo (stored locally);
+ *   `contentHash` is the SHA-256 of `file`
+ */
+export async function prepareMediaFile(file, options = {}) {
+  const {
+    maxDimension = IMAGE_MAX_DIMENSION,
+    quality = IMAGE_QUALITY,
+    keepOriginal = KEEP_ORIGINAL_IMAGES,
+    exifPolicy = exif.EXIF_POLICY
+  } = options;
+
+  const photoInfo = file.type === 'image/jpeg' ? await exif.readExif(file) : null;
+  const resized = await resizeImage(file, { maxDimension, quality });
+
+  const upload = await applyExifPolicy(resized || file, file, photoInfo, {
+    policy: exifPolicy,
+    resized: Boolean(resized),
+    quality
+  });
+
+  return {
+    file: upload,
+    original: resized && keepOriginal ? file : null,
+    originalSize: file.size,
+    processedSize: upload.size,
+    metadata: photoInfo || {},
+    thumbnail: await createThumbnail(upload),
+    contentHash: await hashFile(upload)
+  };
+}
+
+/**
+ * Prepare all files from the submission form (one at a time, to bound memory)
+ * @param {File[]} files
+ * @returns {Promise<Array>} Results of prepareMediaFile, in order
+ */
+export async function prepareMediaFiles(files, options = {}) {
+  const prepared = [];
+  for (const file of files) {
+    prepared.push(await prepareMediaFile(file, options));
+  }
+  return prepared;
+}
@@ -0,0 +1,162 @@
+/**
+ * Sync Policy - Which uploads may run on the current network and battery
+ *
+ * Uses the Network Information API (`navigator.connection`) and the Battery
+ * Status API where the browser has them; without them nothing is held back.
+ * Small files upload on any connection, large (chunked) files can be kept
+ * for Wi-Fi, and below the battery threshold nothing uploads unless the
+ * device is charging. Runs in the page and the service worker (which has
+ * `navigator.connection` in Chromium but no Battery Status API).
+ */
+
+import * as db from './db.js';
+
+/**
+ * Settings key of the user's policy preferences
+ */
+const POLICY_SETTING = 'syncPolicy';
+
+export const DEFAULT_PREFERENCES = {
+  // Keep chunked uploads for Wi-Fi / ethernet
+  wifiOnlyForLarge: true,
+  // Treat Data Saver as a metered connection
+  respectDataSaver: true,
+  // Stop uploading below this battery level (0-1) when not charging; 0 disables
+  minBatteryLevel: 0.2
+};
+
+/**
+ * Why an item is held back (stored on the queue item as `waitingFor`)
+ */
+export const WAIT_REASONS = {
+  WIFI: 'wifi',
+  BATTERY: 'battery'
+};
+
+const METERED_TYPES = ['cellular', 'bluetooth', 'wimax'];
+
+/**
+ * Effective types too slow for large uploads when the connection type is unknown
+ */
+const SLOW_EFFECTIVE_TYPES = ['slow-2g', '2g'];
+
+let batteryPromise = null;
+
+/**
+ * Get the user's preferences merged over the defaults
+ */
+export async function getPreferences() {
+  const stored = await db.getSetting(POLICY_SETTING);
+  return { ...DEFAULT_PREFERENCES, ...stored };
+}
+
+/**
+ * Save (a subset of) the preferences
+ * @returns {Promise<Object>} The full preferences after the change
+ */
+export async function setPreferences(preferences) {
+  const merged = { ...(await getPreferences()), ...preferences };
+  await db.setSetting(POLICY_SETTING, merged);
+  return merged;
+}
+
+/**
+ * Current connection as reported by the Network Information API
+ * @returns {{type: string|null, effectiveType: string|null, saveData: boolean}|null}
+ *   null where the API is unavailable
+ */
+export function getNetworkInfo() {
+  const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+  if (!connection) {
+    return null;
+  }
+  return {
+    type: connection.type || null,
+    effectiveType: connection.effectiveType || null,
+    saveData: Boolean(connection.saveData)
+  };
+}
+
+function getBatteryManager() {
+  if (typeof navigator === 'undefined' || typeof navigator.getBattery !== 'function') {
+    return Promise.resolve(null);
+  }
+  if (!batteryPromise) {
+    batteryPromise = navigator.getBattery().catch(() => null);
+  }
+  return batteryPromise;
+}
+
+/**
+ * Current battery state
+ * @returns {Promise<{level: number, charging: boolean}|null>} null where unavailable
+ */
+export async function getBatteryInfo() {
+  const battery = await getBatteryManager();
+  return battery ? { level: battery.level, charging: battery.charging } : null;
+}
+
+function isMetered(network, preferences) {
+  if (!network) {
+    return false;
+  }
+  if (preferences.respectDataSaver && network.saveData) {
+    return true;
+  }
+  if (network.type) {
+    return METERED_TYPES.includes(network.type);
+  }
+  // Desktop browsers report no type; only a very slow link counts against it
+  return SLOW_EFFECTIVE_TYPES.includes(network.effectiveType);
+}
+
+/**
+ * Evaluate the policy for the current network and battery
+ * @returns {Promise<{blockedReason: string|null, allowLarge: boolean, network: Object|null, battery: Object|null}>}
+ *   blockedReason holds every upload back; allowLarge is false while large files wait for Wi-Fi
+ */
+export async function evaluate() {
+  const [preferences, battery] = await Promise.all([getPreferences(), getBatteryInfo()]);
+  const network = getNetworkInfo();
+
+  const lowBattery = Boolean(battery) && !battery.charging &&
+    battery.level < preferences.minBatteryLevel;
+
+  return {
+    blockedReason: lowBattery ? WAIT_REASONS.BATTERY : null,
+    allowLarge: !(preferences.wifiOnlyForLarge && isMetered(network, preferences)),
+    network,
+    battery
+  };
+}
+
+/**
+ * Why a queue item has to wait under an evaluated policy
+ * @returns {string|null} A WAIT_REASONS value, or null if it may upload now
+ */
+export function getWaitReason(item, evaluation) {
+  if (evaluation.blockedReason) {
+    return evaluation.blockedReason;
+  }
+  if (item.useChunked && !evaluation.allowLarge) {
+    return WAIT_REASONS.WIFI;
+  }
+  return null;
+}
+
+/**
+ * Subscribe to network and battery changes that can change the outcome
+ */
+export function onConditionsChange(callback) {
+  const connection = typeof navigator !== 'undefined' ? navigator.connection : null;
+  if (connection) {
+    connection.addEventListener('change', callback);
+  }
+
+  getBatteryManager().then(battery => {
+    if (battery) {
+      battery.addEventListener('chargingchange', callback);
+      battery.addEventListener('levelchange', callback);
+    }
+  });
+}
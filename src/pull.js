@@ -0,0 +1,345 @@
+/**
+ * Pull Sync - Bring the user's server submissions into the records store
+ *
+ * Fetches submissions changed since the last pull (`updated_since` cursor in
+ * settings) and merges them into `records` by serverId, or by clientId for a
+ * submission this device created whose response was lost. Submissions from
+ * another device or an earlier install become local records (with their
+ * thumbnails), so the history is there offline. Server-side deletions mark
+ * the record `deletedOnServer` instead of dropping local data. Edits not sent
+ * yet are never overwritten (see conflicts.js), and deletes still waiting in
+ * the outbox are not brought back.
+ *
+ * Runs in the page and the service worker; sync.js triggers it.
+ */
+
+import * as db from './db.js';
+import * as api from './api.js';
+import * as auth from './auth.js';
+import * as conflicts from './conflicts.js';
+import { generateId } from './utils.js';
+import { tryWithLock } from './lock.js';
+
+/**
+ * Lock held by whichever context is pulling
+ */
+const PULL_LOCK_NAME = 'offline-media-pwa-pull';
+
+/**
+ * Settings key of the cursor: { userId, updatedSince }
+ */
+const PULL_CURSOR_SETTING = 'pullCursor';
+
+/**
+ * Automatic pulls (after each sync) run at most this often
+ */
+const MIN_PULL_INTERVAL = 60 * 1000;
+
+let lastPullAt = 0;
+
+function isNewer(a, b) {
+  return new Date(a).getTime() > new Date(b).getTime();
+}
+
+/**
+ * Map a server media entry to the fields we use
+ */
+function normalizeMedia(media) {
+  return {
+    serverMediaId: media.id,
+    name: media.file_name || media.filename || media.name || `media-${media.id}`,
+    type: media.content_type || media.file_type || '',
+    size: media.byte_size || media.file_size || 0,
+    url: media.url || null,
+    thumbnailUrl: media.thumbnail_url || null
+  };
+}
+
+/**
+ * Map a server submission to the fields we use
+ */
+function normalizeSubmission(submission) {
+  return {
+    serverId: submission.id,
+    clientId: submission.client_id || null,
+    title: submission.title || '',
+    description: submission.description || '',
+    createdAt: submission.created_at || null,
+    updatedAt: submission.updated_at || null,
+    version: conflicts.getSubmissionVersion(submission),
+    deleted: Boolean(submission.deleted_at || submission.deleted),
+    media: (submission.media || submission.media_files || []).map(normalizeMedia)
+  };
+}
+
+function normalizeResponse(response) {
+  const submissions = Array.isArray(response) ? response : (response.submissions || []);
+  return {
+    submissions: submissions.map(normalizeSubmission),
+    deletedIds: (!Array.isArray(response) && response.deleted_ids) || [],
+    serverTime: (!Array.isArray(response) && response.server_time) || null
+  };
+}
+
+/**
+ * A record's `mediaFiles` entry for a file that is only on the server
+ * The thumbnail is downloaded into the chunks store so it shows offline.
+ */
+async function toMediaFile(media) {
+  let thumbnailBlobId = null;
+  if (media.thumbnailUrl) {
+    try {
+      thumbnailBlobId = (await db.putBlob(await api.downloadMedia(media.thumbnailUrl))).blobId;
+    } catch (error) {
+      console.warn(`Could not download thumbnail of ${media.name}:`, error);
+    }
+  }
+
+  return {
+    name: media.name,
+    type: media.type,
+    size: media.size,
+    serverMediaId: media.serverMediaId,
+    url: media.url,
+    thumbnailBlobId
+  };
+}
+
+/**
+ * What the outbox is about to delete on the server
+ */
+async function getPendingDeletes() {
+  const operations = await db.getAllOperations();
+  const deletes = operations.filter(op => op.type === 'delete');
+  return {
+    serverIds: new Set(deletes.map(op => op.payload.serverId).filter(Boolean)),
+    clientIds: new Set(deletes.map(op => op.payload.clientId).filter(Boolean)),
+    mediaIds: new Set(operations
+      .filter(op => op.type === 'delete-media')
+      .map(op => op.payload.serverMediaId))
+  };
+}
+
+async function findLocalRecord(remote) {
+  const byServerId = await db.getRecordByServerId(remote.serverId);
+  if (byServerId || !remote.clientId) {
+    return byServerId;
+  }
+  return db.getRecordByClientId(remote.clientId);
+}
+
+async function markDeleted(serverId) {
+  const record = await db.getRecordByServerId(serverId);
+  if (!record || record.deletedOnServer) {
+    return false;
+  }
+  await db.updateRecord(record.id, {
+    deletedOnServer: true,
+    deletedOnServerAt: new Date().toISOString()
+  });
+  return true;
+}
+
+/**
+ * Title/description updates for a local record from a newer server copy
+ * The server's values win unless this device has unsent edits or an open
+ * conflict; then both are compared and only clashing fields need the user.
+ */
+function mergeEditableFields(local, remote) {
+  const serverState = conflicts.getServerState(remote);
+  if (!local.editPending && !local.conflict) {
+    return { ...serverState.serverValues, serverVersion: serverState.serverVersion, serverValues: serverState.serverValues };
+  }
+
+  const conflict = conflicts.detectConflict(local, serverState);
+  if (conflict.fields.length > 0) {
+    return { conflict };
+  }
+  return {
+    ...conflict.merged,
+    serverVersion: conflict.serverVersion,
+    serverValues: conflict.serverValues,
+    conflict: null
+  };
+}
+
+/**
+ * Merge one server submission into the records store
+ * Title and description are merged by mergeEditableFields(). Files uploaded
+ * from this device are kept (matched by serverMediaId, or by name for uploads
+ * made before media IDs were recorded); other server files are added, and
+ * pulled files the server no longer lists are removed.
+ * @param {Object} pendingDeletes - From getPendingDeletes()
+ * @returns {Promise<string|null>} 'created', 'updated', 'deleted' or null if unchanged
+ */
+async function mergeSubmission(remote, pendingDeletes) {
+  if (remote.deleted) {
+    return (await markDeleted(remote.serverId)) ? 'deleted' : null;
+  }
+  if (pendingDeletes.serverIds.has(remote.serverId) || pendingDeletes.clientIds.has(remote.clientId)) {
+    return null;
+  }
+  const media = remote.media.filter(item => !pendingDeletes.mediaIds.has(item.serverMediaId));
+
+  const local = await findLocalRecord(remote);
+
+  if (!local) {
+    const mediaFiles = [];
+    for (const item of media) {
+      mediaFiles.push(await toMediaFile(item));
+    }
+    await db.createServerRecord({
+      title: remote.title,
+      description: remote.description,
+      clientId: remote.clientId || generateId(),
+      serverId: remote.serverId,
+      ...conflicts.getServerState(remote),
+      createdAt: remote.createdAt || new Date().toISOString(),
+      synced: true,
+      pulled: true,
+      deletedOnServer: false,
+      mediaFiles
+    });
+    return 'created';
+  }
+
+  const unchanged = local.serverUpdatedAt && remote.updatedAt &&
+    !isNewer(remote.updatedAt, local.serverUpdatedAt);
+  if (unchanged && !local.deletedOnServer) {
+    return null;
+  }
+
+  // Thumbnails are downloaded first; the merge itself re-reads the record so
+  // edits and files added meanwhile are not overwritten
+  const queueItems = await db.getQueueItemsBySubmissionId(local.id);
+  const knownMediaIds = new Set([
+    ...queueItems.map(item => item.serverMediaId),
+    ...local.mediaFiles.map(file => file.serverMediaId)
+  ].filter(Boolean));
+  const untrackedNames = new Set(queueItems
+    .filter(item => item.status === 'synced' && !item.serverMediaId)
+    .map(item => item.fileName));
+
+  const downloaded = [];
+  for (const item of media) {
+    if (!knownMediaIds.has(item.serverMediaId) && !untrackedNames.has(item.name)) {
+      downloaded.push(await toMediaFile(item));
+    }
+  }
+
+  const remoteMediaIds = new Set(remote.media.map(item => item.serverMediaId));
+  const unusedThumbnails = [];
+  const merged = await db.mergeRecord(local.id, current => {
+    const mediaFiles = [];
+    for (const file of current.mediaFiles) {
+      if (file.serverMediaId && !file.queueItemId && !remoteMediaIds.has(file.serverMediaId)) {
+        unusedThumbnails.push(file.thumbnailBlobId);
+        continue;
+      }
+      mediaFiles.push(file);
+    }
+    const currentMediaIds = new Set(mediaFiles.map(file => file.serverMediaId).filter(Boolean));
+    for (const file of downloaded) {
+      if (currentMediaIds.has(file.serverMediaId)) {
+        unusedThumbnails.push(file.thumbnailBlobId);
+      } else {
+        mediaFiles.push(file);
+      }
+    }
+
+    return {
+      ...mergeEditableFields(current, remote),
+      serverId: remote.serverId,
+      serverUpdatedAt: remote.updatedAt || current.serverUpdatedAt || null,
+      deletedOnServer: false,
+      mediaFiles
+    };
+  });
+  if (!merged) {
+    // Deleted locally while the thumbnails were downloading
+    unusedThumbnails.push(...downloaded.map(file => file.thumbnailBlobId));
+  }
+
+  for (const blobId of unusedThumbnails.filter(Boolean)) {
+    await db.deleteBlob(blobId);
+  }
+  return merged ? 'updated' : null;
+}
+
+async function runPull() {
+  lastPullAt = Date.now();
+
+  // The cursor belongs to one account; another account starts from scratch,
+  // and so does an empty records store (e.g. after logging out with a wipe)
+  const user = await auth.getCurrentUser();
+  const userId = (user && user.id) || null;
+  const cursor = await db.getSetting(PULL_CURSOR_SETTING);
+  const hasRecords = await db.countRecords() > 0;
+  const updatedSince = hasRecords && cursor && cursor.userId === userId ? cursor.updatedSince : null;
+
+  const { submissions, deletedIds, serverTime } = normalizeResponse(
+    await api.getSubmissions({ updatedSince })
+  );
+
+  const counts = { created: 0, updated: 0, deleted: 0 };
+  const pendingDeletes = await getPendingDeletes();
+  let nextCursor = updatedSince;
+  let failed = false;
+
+  // Oldest change first: the cursor only moves past submissions that merged,
+  // so the first one that fails (and everything after it) is pulled again
+  const byUpdatedAt = [...submissions].sort((a, b) =>
+    new Date(a.updatedAt || 0).getTime() - new Date(b.updatedAt || 0).getTime()
+  );
+  for (const remote of byUpdatedAt) {
+    try {
+      const outcome = await mergeSubmission(remote, pendingDeletes);
+      if (outcome) {
+        counts[outcome]++;
+      }
+    } catch (error) {
+      console.error(`Error merging submission ${remote.serverId}:`, error);
+      failed = true;
+      break;
+    }
+    if (remote.updatedAt && (!nextCursor || isNewer(remote.updatedAt, nextCursor))) {
+      nextCursor = remote.updatedAt;
+    }
+  }
+
+  for (const serverId of deletedIds) {
+    if (await markDeleted(serverId)) {
+      counts.deleted++;
+    }
+  }
+
+  // Prefer the server's clock; otherwise (or after a failure) the newest
+  // change merged
+  if (serverTime && !failed) {
+    nextCursor = serverTime;
+  }
+  if (nextCursor) {
+    await db.setSetting(PULL_CURSOR_SETTING, { userId, updatedSince: nextCursor });
+  }
+
+  console.log(`Pulled submissions: ${counts.created} new, ${counts.updated} updated, ${counts.deleted} deleted`);
+  return counts;
+}
+
+/**
+ * Pull submissions changed on the server since the last pull
+ * @param {Object} [options] - { force: true } to ignore MIN_PULL_INTERVAL
+ * @returns {Promise<{created: number, updated: number, deleted: number}|null>}
+ *   null when skipped (too soon, signed out, or another context is pulling)
+ */
+export async function pullSubmissions({ force = false } = {}) {
+  if (!force && Date.now() - lastPullAt < MIN_PULL_INTERVAL) {
+    return null;
+  }
+  if (!(await auth.canSync())) {
+    return null;
+  }
+
+  const { acquired, result } = await tryWithLock(PULL_LOCK_NAME, runPull);
+  return acquired ? result : null;
+}
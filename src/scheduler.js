@@ -0,0 +1,101 @@
+/**
+ * Upload Scheduler - Bounded-concurrency, priority-ordered queue processing
+ *
+ * Ordering: pinned items first, then smaller files first. Waiting time
+ * discounts a file's effective size so large files still move up the queue.
+ * Fairness: chunked (large) uploads may hold at most `maxConcurrent - 1`
+ * slots, leaving one lane free for small files.
+ */
+
+/**
+ * Minutes of waiting that halve an item's effective size
+ */
+const AGING_MINUTES = 10;
+
+/**
+ * Effective size used for ordering (smaller runs first)
+ */
+function effectiveSize(item, now) {
+  const waitingMinutes = Math.max(0, (now - new Date(item.createdAt).getTime()) / 60000);
+  return (item.fileSize || 0) / (1 + waitingMinutes / AGING_MINUTES);
+}
+
+/**
+ * Sort queue items into upload order
+ * @returns {Array} New array, highest priority first
+ */
+export function prioritize(items, now = Date.now()) {
+  return [...items].sort((a, b) => {
+    if (Boolean(a.pinned) !== Boolean(b.pinned)) {
+      return a.pinned ? -1 : 1;
+    }
+    return effectiveSize(a, now) - effectiveSize(b, now);
+  });
+}
+
+/**
+ * Run items through `worker` with bounded concurrency
+ *
+ * @param {Array} items - Queue items
+ * @param {Function} worker - async (item) => result
+ * @param {Object} [options] - { maxConcurrent, isLarge }
+ * @returns {Promise<Array>} Results in the shape of Promise.allSettled, in scheduled order
+ */
+export function runScheduled(items, worker, options = {}) {
+  const maxConcurrent = Math.max(1, options.maxConcurrent || 1);
+  const isLarge = options.isLarge || (item => item.useChunked);
+  const maxLarge = Math.max(1, maxConcurrent - 1);
+
+  const waiting = prioritize(items);
+  const results = [];
+  let running = 0;
+  let runningLarge = 0;
+
+  return new Promise(resolve => {
+    if (waiting.length === 0) {
+      resolve(results);
+      return;
+    }
+
+    // Next item allowed to start: highest priority, skipping large files
+    // while the large-file lanes are full
+    function takeNext() {
+      const index = waiting.findIndex(item => !isLarge(item) || runningLarge < maxLarge);
+      return index === -1 ? null : waiting.splice(index, 1)[0];
+    }
+
+    function startAvailable() {
+      while (running < maxConcurrent) {
+        const item = takeNext();
+        if (!item) break;
+        start(item);
+      }
+
+      if (running === 0 && waiting.length === 0) {
+        resolve(results);
+      }
+    }
+
+    function start(item) {
+      const large = isLarge(item);
+      const slot = results.length;
+      results.push(null);
+      running++;
+      if (large) runningLarge++;
+
+      Promise.resolve()
+        .then(() => worker(item))
+        .then(
+          value => { results[slot] = { status: 'fulfilled', value }; },
+          reason => { results[slot] = { status: 'rejected', reason }; }
+        )
+        .finally(() => {
+          running--;
+          if (large) runningLarge--;
+          startAvailable();
+        });
+    }
+
+    startAvailable();
+  });
+}
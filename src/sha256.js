@@ -0,0 +1,160 @@
+/**
+ * SHA-256 - Incremental hashing of large files
+ *
+ * `crypto.subtle.digest()` needs the whole input in one buffer, which a
+ * large video would not fit in. This implementation takes the bytes slice
+ * by slice, so only one slice is in memory at a time. Used by the hash
+ * worker, and on the main thread where workers are unavailable.
+ */
+
+/**
+ * Round constants: first 32 bits of the fractional parts of the cube roots
+ * of the first 64 primes
+ */
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+/**
+ * Bytes read from a Blob at a time
+ */
+const READ_SLICE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Start a hash
+ * @returns {{update: Function, digest: Function}} `update(Uint8Array)` adds
+ *   bytes; `digest()` returns the 32-byte hash (once)
+ */
+export function createSha256() {
+  const state = new Uint32Array(INITIAL_STATE);
+  const words = new Uint32Array(64);
+  const buffer = new Uint8Array(64);
+  let buffered = 0;
+  let totalLength = 0;
+
+  function compress(bytes, offset) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      words[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = words[i - 15];
+      const w2 = words[i - 2];
+      const s0 = ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+      const s1 = ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+      words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+    }
+
+    let a = state[0] | 0;
+    let b = state[1] | 0;
+    let c = state[2] | 0;
+    let d = state[3] | 0;
+    let e = state[4] | 0;
+    let f = state[5] | 0;
+    let g = state[6] | 0;
+    let h = state[7] | 0;
+    for (let i = 0; i < 64; i++) {
+      const sigma1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const sigma0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const t1 = (h + sigma1 + ((e & f) ^ (~e & g)) + K[i] + words[i]) | 0;
+      const t2 = (sigma0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+
+  function update(bytes) {
+    totalLength += bytes.length;
+    let offset = 0;
+
+    // Fill up a block left over from the previous call
+    if (buffered > 0) {
+      const take = Math.min(64 - buffered, bytes.length);
+      buffer.set(bytes.subarray(0, take), buffered);
+      buffered += take;
+      offset = take;
+      if (buffered < 64) {
+        return;
+      }
+      compress(buffer, 0);
+      buffered = 0;
+    }
+
+    for (; offset + 64 <= bytes.length; offset += 64) {
+      compress(bytes, offset);
+    }
+    if (offset < bytes.length) {
+      buffer.set(bytes.subarray(offset), 0);
+      buffered = bytes.length - offset;
+    }
+  }
+
+  function digest() {
+    // Padding: a 1 bit, zeros, then the length in bits (64-bit big-endian)
+    const bitLength = totalLength * 8;
+    buffer[buffered++] = 0x80;
+    if (buffered > 56) {
+      buffer.fill(0, buffered);
+      compress(buffer, 0);
+      buffered = 0;
+    }
+    buffer.fill(0, buffered, 56);
+    const view = new DataView(buffer.buffer);
+    view.setUint32(56, Math.floor(bitLength / 0x100000000));
+    view.setUint32(60, bitLength >>> 0);
+    compress(buffer, 0);
+
+    const output = new Uint8Array(32);
+    const outputView = new DataView(output.buffer);
+    state.forEach((word, index) => outputView.setUint32(index * 4, word));
+    return output;
+  }
+
+  return { update, digest };
+}
+
+export function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * SHA-256 of a Blob (or File), read slice by slice
+ * @returns {Promise<string>} Lowercase hex
+ */
+export async function hashBlob(blob) {
+  const hash = createSha256();
+  for (let start = 0; start < blob.size; start += READ_SLICE_SIZE) {
+    hash.update(new Uint8Array(await blob.slice(start, start + READ_SLICE_SIZE).arrayBuffer()));
+  }
+  return toHex(hash.digest());
+}
@@ -2,22 +2,127 @@
  * Sync Logic - Handles offline queue management and synchronization
  * 
  * Enqueues failed online operations, flushes queues when online,
- * handles retry logic with exponential backoff.
+ * handles retry logic with exponential backoff and jitter: failed items get a
+ * `nextAttemptAt` and a timer wakes the queue when the earliest one is due.
+ *
+ * Runs in both the page and the service worker (Background Sync), so nothing
+ * here may touch `window` or the DOM outside initSync().
  */
 
 import * as db from './db.js';
 import * as api from './api.js';
 import * as utils from './utils.js';
+import * as auth from './auth.js';
+import * as policy from './policy.js';
+import * as connectivity from './connectivity.js';
+import * as pull from './pull.js';
+import * as conflicts from './conflicts.js';
+import { runScheduled } from './scheduler.js';
+import { hashFile } from './media.js';
+import { tryWithLock } from './lock.js';
 
 const SYNC_STATUS = {
   IDLE: 'idle',
   SYNCING: 'syncing',
   SUCCESS: 'success',
-  ERROR: 'error'
+  ERROR: 'error',
+  AUTH_REQUIRED: 'auth_required',
+  PAUSED: 'paused',
+  WAITING: 'waiting'
 };
 
+/**
+ * Background Sync tag the service worker drains the media queue on
+ */
+export const MEDIA_SYNC_TAG = 'media-queue';
+
+/**
+ * Lock held by whichever context (tab or service worker) is syncing
+ */
+const SYNC_LOCK_NAME = 'offline-media-pwa-sync';
+
+/**
+ * Lock held by whichever context is replaying the operations outbox; separate
+ * from the sync lock so edits are not held up by long uploads
+ */
+const OPERATIONS_LOCK_NAME = 'offline-media-pwa-operations';
+
+/**
+ * Outbox operation types (db `operations` store)
+ */
+const OPERATION_TYPES = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  DELETE_MEDIA: 'delete-media'
+};
+
+/**
+ * Channel sharing sync status and upload progress with every tab
+ */
+const SYNC_CHANNEL_NAME = 'offline-media-pwa-sync';
+
+/**
+ * Identifies this tab / service worker instance as the owner of claimed items
+ */
+const CONTEXT_ID = utils.generateId();
+
+/**
+ * Lease on a claimed item; renewed every LEASE_RENEW_INTERVAL while uploading.
+ * If the owner dies, the lease runs out and the item is recovered.
+ */
+const LEASE_DURATION = 60 * 1000;
+const LEASE_RENEW_INTERVAL = 20 * 1000;
+
+/**
+ * A connectivity probe this recent is trusted when a sync starts
+ */
+const CONNECTIVITY_MAX_AGE = 10 * 1000;
+
 let syncStatus = SYNC_STATUS.IDLE;
+let syncInProgress = false;
 let syncListeners = [];
+let progressListeners = [];
+let recordsListeners = [];
+let syncChannel = null;
+let retryTimer = null;
+
+/**
+ * In-flight server creates by local record ID, so concurrent uploads for
+ * the same submission share a single create request
+ */
+const pendingServerCreates = new Map();
+
+/**
+ * Uploads running in this context: queue item ID -> AbortController
+ */
+const activeUploads = new Map();
+
+/**
+ * Settings key of the "pause all uploads" switch
+ */
+const UPLOADS_PAUSED_SETTING = 'uploadsPaused';
+
+/**
+ * Longest delay setTimeout supports (~24.8 days)
+ */
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Maximum number of uploads in flight at once
+ */
+let maxConcurrentUploads = parseInt(import.meta.env.VITE_MAX_CONCURRENT_UPLOADS, 10) || 3;
+
+/**
+ * Set the maximum number of concurrent uploads
+ */
+export function setMaxConcurrentUploads(limit) {
+  maxConcurrentUploads = Math.max(1, parseInt(limit, 10) || 1);
+}
+
+export function getMaxConcurrentUploads() {
+  return maxConcurrentUploads;
+}
 
 /**
  * Subscribe to sync status changes
@@ -27,66 +132,240 @@ export function onSyncStatusChange(callback) {
   callback(syncStatus); // Call immediately with current status
 }
 
-function notifySyncStatusChange(status) {
+function notifySyncStatusChange(status, { broadcast = true } = {}) {
   syncStatus = status;
   syncListeners.forEach(cb => cb(status));
+  if (broadcast) {
+    broadcastSyncMessage({ type: 'status', status });
+  }
+}
+
+/**
+ * Subscribe to changes of the records store made by a pull or a detected conflict
+ */
+export function onRecordsChange(callback) {
+  recordsListeners.push(callback);
+}
+
+function notifyRecordsChange({ broadcast = true } = {}) {
+  recordsListeners.forEach(cb => cb());
+  if (broadcast) {
+    broadcastSyncMessage({ type: 'records-changed' });
+  }
+}
+
+function notifyUploadProgress(detail, { broadcast = true } = {}) {
+  progressListeners.forEach(cb => cb(detail));
+  if (broadcast) {
+    broadcastSyncMessage({ type: 'progress', detail });
+  }
 }
 
 /**
- * Check if we're online
+ * Open the cross-tab sync channel (where BroadcastChannel is supported)
+ * Status and progress from other tabs and the service worker are replayed
+ * to this context's listeners, so every tab shows the same state.
+ */
+function getSyncChannel() {
+  if (!syncChannel && typeof BroadcastChannel !== 'undefined') {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+    syncChannel.addEventListener('message', (event) => {
+      const message = event.data || {};
+      if (message.type === 'status') {
+        notifySyncStatusChange(message.status, { broadcast: false });
+      } else if (message.type === 'progress') {
+        notifyUploadProgress(message.detail, { broadcast: false });
+      } else if (message.type === 'status-request' && syncInProgress) {
+        // A newly opened tab wants to know what is going on
+        broadcastSyncMessage({ type: 'status', status: syncStatus });
+      } else if (message.type === 'abort') {
+        abortLocalUpload(message.itemId);
+      } else if (message.type === 'pause-all') {
+        activeUploads.forEach((_, id) => abortLocalUpload(id));
+      } else if (message.type === 'records-changed') {
+        notifyRecordsChange({ broadcast: false });
+      }
+    });
+  }
+  return syncChannel;
+}
+
+function broadcastSyncMessage(message) {
+  const channel = getSyncChannel();
+  if (channel) {
+    channel.postMessage(message);
+  }
+}
+
+/**
+ * Subscribe to upload progress
+ * Callback receives { queueItemId, progress, bytesUploaded, totalBytes }
+ */
+export function onUploadProgress(callback) {
+  progressListeners.push(callback);
+}
+
+/**
+ * Ask the service worker to drain the queue via Background Sync
+ * Lets uploads continue (or start once connectivity returns) after the tab
+ * is closed. No-op where Background Sync is unsupported.
+ */
+export async function requestBackgroundSync() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return false;
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  if (!registration.sync) {
+    return false;
+  }
+
+  await registration.sync.register(MEDIA_SYNC_TAG);
+  return true;
+}
+
+function scheduleBackgroundSync() {
+  requestBackgroundSync().catch(error => {
+    console.warn('Background sync registration failed:', error);
+  });
+}
+
+/**
+ * Check if the API is reachable (probed by connectivity.js, not just navigator.onLine)
  */
 export function isOnline() {
-  return navigator.onLine;
+  return connectivity.isReachable();
+}
+
+/**
+ * Normalize submitted media: Files or prepared media ({ file, original,
+ * originalSize, metadata, thumbnail, contentHash } from media.prepareMediaFiles)
+ */
+function toMediaEntries(mediaFiles) {
+  return mediaFiles.map(entry =>
+    entry instanceof Blob
+      ? { file: entry, original: null, originalSize: entry.size, metadata: {}, thumbnail: null }
+      : entry
+  );
+}
+
+/**
+ * Hash entries that come without a content hash (plain Files), and drop
+ * files picked twice or already in the submission
+ * @param {number|null} recordId - Existing submission, if adding to one
+ * @returns {Promise<{entries: Array, duplicates: number}>}
+ */
+async function dropDuplicateEntries(recordId, mediaEntries) {
+  const existing = recordId ? await db.getQueueItemsBySubmissionId(recordId) : [];
+  const seen = new Set(existing.map(item => item.contentHash).filter(Boolean));
+  const entries = [];
+
+  for (const entry of mediaEntries) {
+    let { contentHash } = entry;
+    if (contentHash === undefined) {
+      contentHash = await hashFile(entry.file);
+    }
+    if (contentHash && seen.has(contentHash)) {
+      console.log(`Skipping duplicate file ${entry.file.name}`);
+      continue;
+    }
+    if (contentHash) {
+      seen.add(contentHash);
+    }
+    entries.push({ ...entry, contentHash });
+  }
+
+  return { entries, duplicates: mediaEntries.length - entries.length };
+}
+
+/**
+ * Throw a QuotaExceededError if the entries will not fit
+ * Counts what will actually be stored (resized copies, kept originals,
+ * thumbnails); files already stored for another submission are shared
+ */
+async function checkStorageForEntries(mediaEntries) {
+  let totalSize = 0;
+  for (const entry of mediaEntries) {
+    const stored = entry.contentHash && await db.getQueueItemByContentHash(entry.contentHash);
+    totalSize += (stored ? 0 : entry.file.size) +
+      (entry.original ? entry.original.size : 0) +
+      (entry.thumbnail ? entry.thumbnail.size : 0);
+  }
+  const storageCheck = await utils.checkStorageAvailability(totalSize);
+
+  if (!storageCheck.enough) {
+    const error = new Error(
+      `Not enough storage space. Available: ${utils.formatBytes(storageCheck.available)}, ` +
+      `Needed: ${utils.formatBytes(storageCheck.needed)}`
+    );
+    error.name = 'QuotaExceededError';
+    throw error;
+  }
+}
+
+/**
+ * Store thumbnails and queue the media of a record
+ * @returns {Promise<Array>} Entries for the record's `mediaFiles`
+ */
+async function queueMediaEntries(recordId, mediaEntries, { title, description }) {
+  // Thumbnails belong to the record, so they outlive the queue items
+  const thumbnailBlobIds = await Promise.all(mediaEntries.map(({ thumbnail }) =>
+    thumbnail ? db.putBlob(thumbnail).then(result => result.blobId) : null
+  ));
+
+  const queueItemIds = await Promise.all(mediaEntries.map(({ file, original, originalSize, contentHash, metadata }) =>
+    db.enqueueMedia({
+      submissionId: recordId,
+      file,
+      original,
+      originalSize,
+      contentHash,
+      metadata: {
+        ...metadata, // capturedAt, orientation, location from EXIF
+        title,
+        description
+      },
+      status: 'pending',
+      useChunked: api.shouldUseChunkedUpload(file)
+    })
+  ));
+
+  // queueItemId links each file to its local copy
+  return mediaEntries.map(({ file, originalSize }, index) => ({
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    originalSize,
+    thumbnailBlobId: thumbnailBlobIds[index],
+    queueItemId: queueItemIds[index]
+  }));
 }
 
 /**
  * Enqueue a submission for sync
- * Creates local record and queues media files
+ * Creates the local record, a create operation and queues media files (if
+ * any: text-only submissions have none). A file picked twice is queued once.
  */
 export async function enqueueSubmission(submissionData) {
   try {
-    // Check total file size and available storage
-    const totalSize = submissionData.mediaFiles.reduce((sum, file) => sum + file.size, 0);
-    const storageCheck = await utils.checkStorageAvailability(totalSize);
-    
-    if (!storageCheck.enough) {
-      const error = new Error(
-        `Not enough storage space. Available: ${utils.formatBytes(storageCheck.available)}, ` +
-        `Needed: ${utils.formatBytes(storageCheck.needed)}`
-      );
-      error.name = 'QuotaExceededError';
-      throw error;
-    }
+    const { entries: mediaEntries } = await dropDuplicateEntries(null, toMediaEntries(submissionData.mediaFiles || []));
+    await checkStorageForEntries(mediaEntries);
 
     // Create local record
-    const record = {
+    const recordId = await db.createRecord({
       title: submissionData.title,
       description: submissionData.description,
-      mediaFiles: submissionData.mediaFiles.map(f => ({
-        name: f.name,
-        type: f.type,
-        size: f.size
-      })),
+      mediaFiles: [],
       synced: false
-    };
-
-    const recordId = await db.createRecord(record);
-
-    // Enqueue each media file
-    const queuePromises = submissionData.mediaFiles.map(file =>
-      db.enqueueMedia({
-        submissionId: recordId,
-        file,
-        metadata: {
-          title: submissionData.title,
-          description: submissionData.description
-        },
-        status: 'pending',
-        useChunked: api.shouldUseChunkedUpload(file)
-      })
-    );
+    });
+
+    const mediaFiles = await queueMediaEntries(recordId, mediaEntries, submissionData);
+    await db.updateRecord(recordId, { mediaFiles });
+    await enqueueOperation(OPERATION_TYPES.CREATE, recordId, { title: submissionData.title });
 
-    await Promise.all(queuePromises);
+    // Hand the queue to the service worker too, so it uploads even if
+    // this tab is closed before syncing finishes
+    scheduleBackgroundSync();
 
     // Try to sync immediately if online
     if (isOnline()) {
@@ -107,6 +386,353 @@ export async function enqueueSubmission(submissionData) {
   }
 }
 
+/**
+ * Server ID of a record, if the server has it
+ * Waits for a create in progress, and asks the server when an earlier
+ * create's response was lost.
+ * @returns {Promise<number|string|null>}
+ */
+async function getExistingServerId(recordId) {
+  if (pendingServerCreates.has(recordId)) {
+    await pendingServerCreates.get(recordId).catch(() => {});
+  }
+
+  const record = await db.getRecord(recordId);
+  if (!record) {
+    throw new Error('Submission record not found');
+  }
+  if (record.serverId) {
+    return record.serverId;
+  }
+  if (!record.serverCreateAttemptedAt || !record.clientId) {
+    return null;
+  }
+
+  const serverId = getServerId(await api.findSubmissionByClientId(record.clientId));
+  if (serverId) {
+    await db.updateRecord(recordId, { serverId });
+  }
+  return serverId || null;
+}
+
+/**
+ * Queue item holding a record's file (records before queueItemId: match by name)
+ * Files pulled from the server have none.
+ * @returns {Object|null}
+ */
+export function findQueueItemForFile(queueItems, file) {
+  if (file.serverMediaId && !file.queueItemId) {
+    return null;
+  }
+  return queueItems.find(item => item.id === file.queueItemId) ||
+    queueItems.find(item => item.fileName === file.name) ||
+    null;
+}
+
+/**
+ * Ignore 404s from deletes - the server copy is already gone
+ */
+async function deleteOnServer(request) {
+  try {
+    await request();
+  } catch (error) {
+    if (!(error instanceof api.ApiError && error.status === 404)) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Save title/description on the record and its queued items' metadata
+ */
+async function saveLocalValues(recordId, { title, description }, updates = {}) {
+  await db.updateRecord(recordId, { ...updates, title, description });
+
+  const queueItems = await db.getQueueItemsBySubmissionId(recordId);
+  await Promise.all(queueItems.map(item =>
+    db.updateQueueItem(item.id, { metadata: { ...item.metadata, title, description } })
+  ));
+}
+
+/**
+ * Server fields to store after the server accepted `sentValues`
+ * The edit stays pending while the record differs from the server copy
+ * (e.g. it was edited again in the meantime).
+ */
+async function acceptedServerState(recordId, sentValues, response) {
+  const submission = (response && response.submission) || response || {};
+  const current = await db.getRecord(recordId);
+  const serverValues = 'title' in submission ? conflicts.pickValues(submission) : sentValues;
+
+  return {
+    serverVersion: conflicts.getSubmissionVersion(submission),
+    serverValues,
+    serverUpdatedAt: submission.updated_at || current.serverUpdatedAt || null,
+    editPending: !conflicts.sameValues(conflicts.pickValues(current), serverValues)
+  };
+}
+
+/**
+ * The server rejected an edit because its copy changed: compare both sides
+ * Fields changed on one side only are merged and the edit is sent again
+ * (once); fields changed on both sides are stored as `conflict` for the user.
+ */
+async function handleEditConflict(recordId, serverId, error, { retried, idempotencyKey }) {
+  const body = error.body || {};
+  let serverSubmission = body.submission;
+  if (!serverSubmission) {
+    const response = await api.getSubmission(serverId);
+    serverSubmission = response.submission || response;
+  }
+
+  const record = await db.getRecord(recordId);
+  const conflict = conflicts.detectConflict(record, conflicts.getServerState(serverSubmission));
+
+  if (conflict.fields.length === 0 && !retried) {
+    await saveLocalValues(recordId, conflict.merged, {
+      serverVersion: conflict.serverVersion,
+      serverValues: conflict.serverValues,
+      serverUpdatedAt: conflict.serverUpdatedAt
+    });
+    notifyRecordsChange();
+    await sendRecordEdit(recordId, { retried: true, idempotencyKey });
+    return;
+  }
+
+  console.log(`Edit conflict on submission ${recordId}: ${conflict.fields.join(', ') || 'version'}`);
+  await db.updateRecord(recordId, { conflict });
+  notifyRecordsChange();
+}
+
+/**
+ * Send a record's title/description to the server, based on its serverVersion
+ * Runs as the outbox's update operation; throws so it is retried like uploads.
+ * The request's idempotency key is the operation's key plus the version, so
+ * a retry repeats the key and a resend after a merged conflict does not.
+ */
+async function sendRecordEdit(recordId, { retried = false, idempotencyKey = null } = {}) {
+  const serverId = await getExistingServerId(recordId);
+  const record = await db.getRecord(recordId);
+  if (!serverId || record.conflict) {
+    // The create carries the new values / waits for the user to resolve it
+    return;
+  }
+
+  const values = conflicts.pickValues(record);
+  if (record.serverValues && conflicts.sameValues(values, record.serverValues)) {
+    await db.updateRecord(recordId, { editPending: false });
+    return;
+  }
+
+  try {
+    const response = await api.updateSubmission(serverId, values, {
+      version: record.serverVersion,
+      idempotencyKey: idempotencyKey && `${idempotencyKey}:update:${record.serverVersion}`
+    });
+    await db.updateRecord(recordId, await acceptedServerState(recordId, values, response));
+  } catch (error) {
+    if (!api.isVersionConflict(error)) {
+      throw error;
+    }
+    await handleEditConflict(recordId, serverId, error, { retried, idempotencyKey });
+  }
+}
+
+/**
+ * Outcome of a record's latest edit, for the UI
+ * @returns {Promise<{serverUpdated: boolean, serverError: Error|null, conflict: Object|null}>}
+ */
+async function getEditOutcome(recordId) {
+  const record = await db.getRecord(recordId);
+  const operation = (await db.getOperationsBySubmissionId(recordId))
+    .find(op => op.type === OPERATION_TYPES.UPDATE);
+
+  return {
+    serverUpdated: !operation && !record.conflict && Boolean(record.serverId),
+    serverError: operation && operation.error ? new Error(operation.error) : null,
+    conflict: record.conflict || null
+  };
+}
+
+/**
+ * Edit a submission's title and description
+ * The record and its queued items' metadata change locally first, then an
+ * update operation sends them to the server (right away when online; a
+ * submission not created yet is created with the new values).
+ * @returns {Promise<{serverUpdated: boolean, serverError: Error|null, conflict: Object|null}>}
+ *   serverUpdated is false while the edit waits in the outbox; serverError is
+ *   set when sending it failed; conflict when the server copy was changed too
+ *   (see resolveConflict)
+ */
+export async function updateSubmission(recordId, { title, description }) {
+  await saveLocalValues(recordId, { title, description }, { editPending: true });
+  await enqueueOperation(OPERATION_TYPES.UPDATE, recordId, { title });
+  await runOperations();
+  return getEditOutcome(recordId);
+}
+
+/**
+ * Resolve a record's edit conflict and send the result
+ * @param {number} recordId
+ * @param {Object} values - Chosen value per conflicting field (mine, theirs or
+ *   merged); the other fields keep the automatic merge
+ * @returns {Promise<Object>} Same shape as updateSubmission()
+ */
+export async function resolveConflict(recordId, values) {
+  const record = await db.getRecord(recordId);
+  if (!record || !record.conflict) {
+    throw new Error('This submission has no conflict to resolve');
+  }
+
+  // Recompared, so edits made since the conflict was found are kept
+  const { merged, serverVersion, serverValues, serverUpdatedAt } =
+    conflicts.detectConflict(record, record.conflict);
+  const resolved = { ...merged, ...values };
+  const keptServerValues = conflicts.sameValues(resolved, serverValues);
+
+  await saveLocalValues(recordId, resolved, {
+    conflict: null,
+    editPending: !keptServerValues,
+    serverVersion,
+    serverValues,
+    serverUpdatedAt
+  });
+  notifyRecordsChange();
+
+  if (keptServerValues) {
+    // Nothing to send
+    return { serverUpdated: true, serverError: null, conflict: null };
+  }
+  return updateSubmission(recordId, resolved);
+}
+
+/**
+ * Add media files to an existing submission
+ * Files the submission already has are skipped.
+ * @param {Array} mediaFiles - Files or prepared media (see enqueueSubmission)
+ * @returns {Promise<number>} Number of duplicate files skipped
+ */
+export async function addMediaToSubmission(recordId, mediaFiles) {
+  const record = await db.getRecord(recordId);
+  if (!record) {
+    throw new Error('Submission record not found');
+  }
+
+  const { entries: mediaEntries, duplicates } = await dropDuplicateEntries(recordId, toMediaEntries(mediaFiles));
+  if (mediaEntries.length === 0) {
+    return duplicates;
+  }
+  await checkStorageForEntries(mediaEntries);
+
+  const added = await queueMediaEntries(recordId, mediaEntries, record);
+  const current = await db.getRecord(recordId);
+  await db.updateRecord(recordId, {
+    mediaFiles: [...current.mediaFiles, ...added],
+    synced: false
+  });
+
+  scheduleBackgroundSync();
+  if (isOnline()) {
+    syncQueue();
+  }
+  return duplicates;
+}
+
+/**
+ * Remove one file from a submission
+ * The file is removed locally right away; uploaded files (including files
+ * pulled from the server) are deleted on the server through the outbox.
+ * Files that are uploading right now cannot be removed.
+ * @param {number} recordId
+ * @param {number} fileIndex - Index into record.mediaFiles
+ */
+export async function removeMediaFromSubmission(recordId, fileIndex) {
+  const record = await db.getRecord(recordId);
+  const file = record && record.mediaFiles[fileIndex];
+  if (!file) {
+    throw new Error('File not found');
+  }
+
+  const queueItem = findQueueItemForFile(await db.getQueueItemsBySubmissionId(recordId), file);
+
+  if (queueItem && queueItem.status === 'uploading') {
+    throw new Error('This file is uploading. Try again when the upload finishes.');
+  }
+
+  const uploaded = queueItem ? queueItem.status === 'synced' : Boolean(file.serverMediaId);
+  if (uploaded) {
+    const serverMediaId = (queueItem && queueItem.serverMediaId) || file.serverMediaId;
+    if (!record.serverId || !serverMediaId) {
+      throw new Error('This file was uploaded before it could be tracked and cannot be removed here.');
+    }
+    await enqueueOperation(OPERATION_TYPES.DELETE_MEDIA, recordId, {
+      title: record.title,
+      fileName: file.name,
+      serverId: record.serverId,
+      serverMediaId
+    });
+  }
+
+  if (queueItem) {
+    await db.deleteQueueItem(queueItem.id);
+  }
+  if (file.thumbnailBlobId) {
+    await db.deleteBlob(file.thumbnailBlobId);
+  }
+
+  await db.updateRecord(recordId, {
+    mediaFiles: record.mediaFiles.filter((_, index) => index !== fileIndex)
+  });
+
+  // Removing the last unsynced file completes the submission
+  await checkAndUpdateRecordSyncStatus(recordId);
+  await runOperations();
+}
+
+/**
+ * Delete a submission: queued uploads with their stored files, thumbnails
+ * and the local record right away, the server copy through the outbox
+ * Unsent operations of the submission are dropped.
+ * @throws if a file is uploading or an operation of it is being sent
+ */
+export async function deleteSubmission(recordId) {
+  const queueItems = await db.getQueueItemsBySubmissionId(recordId);
+  if (queueItems.some(item => item.status === 'uploading')) {
+    throw new Error('A file of this submission is uploading. Try again when the upload finishes.');
+  }
+
+  const operations = await db.getOperationsBySubmissionId(recordId);
+  if (operations.some(op => op.status === 'running')) {
+    throw new Error('This submission is being synced. Try again in a moment.');
+  }
+
+  if (pendingServerCreates.has(recordId)) {
+    await pendingServerCreates.get(recordId).catch(() => {});
+  }
+  const record = await db.getRecord(recordId);
+  if (!record) {
+    throw new Error('Submission record not found');
+  }
+
+  for (const operation of operations) {
+    await db.deleteOperation(operation.id);
+  }
+  // An earlier create may have reached the server without us seeing the response
+  if (record.serverId || record.serverCreateAttemptedAt) {
+    await enqueueOperation(OPERATION_TYPES.DELETE, recordId, {
+      title: record.title,
+      serverId: record.serverId || null,
+      clientId: record.clientId || null
+    });
+  }
+
+  for (const item of queueItems) {
+    await db.deleteQueueItem(item.id);
+  }
+  await db.deleteRecord(recordId);
+  await runOperations();
+}
+
 /**
  * Progress callback for chunked uploads
  */
@@ -119,43 +745,225 @@ function createProgressCallback(queueItemId) {
     });
     
     // Notify UI of progress update
-    const event = new CustomEvent('uploadProgress', {
-      detail: { queueItemId, progress, bytesUploaded, totalBytes }
-    });
-    window.dispatchEvent(event);
+    notifyUploadProgress({ queueItemId, progress, bytesUploaded, totalBytes });
   };
 }
 
 /**
- * Sync a single queue item
+ * Failure reasons recorded on queue items (`errorReason`) for the UI
+ */
+const FAILURE_REASONS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  408: 'timeout',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'validation_failed',
+  429: 'rate_limited',
+  503: 'service_unavailable'
+};
+
+/**
+ * Retry policy: classify an upload error as retryable or permanent
+ * - Network errors and 5xx: retry with backoff
+ * - 408/429: retry; 429 and 503 honour Retry-After
+ * - 401: pause until the user signs in again (no attempt counted)
+ * - Any other 4xx: permanent, retrying won't help
+ * - Bytes the server received corrupted: failed, until the user retries
+ * @returns {{ retryable: boolean, paused: boolean, retryAfter: number|null, reason: string, status: number|null }}
  */
-async function syncQueueItem(queueItem) {
+function classifyError(error) {
+  if (error instanceof api.IntegrityError) {
+    return { retryable: false, paused: false, retryAfter: null, reason: 'integrity_mismatch', status: null };
+  }
+  if (!(error instanceof api.ApiError)) {
+    return { retryable: true, paused: false, retryAfter: null, reason: 'network_error', status: null };
+  }
+
+  const { status } = error;
+
+  if (status === 401) {
+    return { retryable: true, paused: true, retryAfter: null, reason: FAILURE_REASONS[401], status };
+  }
+
+  return {
+    retryable: api.isRetryableStatus(status),
+    paused: false,
+    retryAfter: api.getRetryAfter(error),
+    reason: FAILURE_REASONS[status] || (status >= 500 ? 'server_error' : `http_${status}`),
+    status
+  };
+}
+
+/**
+ * Extract the server ID from a submission response
+ */
+function getServerId(submission) {
+  return submission && (submission.id || (submission.submission && submission.submission.id));
+}
+
+/**
+ * Extract the media ID from an upload (or finalize) response
+ */
+function getServerMediaId(response) {
+  return (response && (response.id || response.media_id || (response.media && response.media.id))) || null;
+}
+
+/**
+ * Phase one of sync: make sure the submission exists on the server
+ * Stores the server ID on the local record. If an earlier create may have
+ * succeeded without us seeing the response, look it up by clientId first.
+ * @returns {Promise<number|string>} Server submission ID
+ */
+async function ensureServerSubmission(recordId) {
+  if (pendingServerCreates.has(recordId)) {
+    return pendingServerCreates.get(recordId);
+  }
+
+  const promise = (async () => {
+    const record = await db.getRecord(recordId);
+    if (!record) {
+      throw new Error('Submission record not found');
+    }
+    if (record.serverId) {
+      return record.serverId;
+    }
+
+    // Records created before server sync existed have no clientId yet
+    let clientId = record.clientId;
+    if (!clientId) {
+      clientId = utils.generateId();
+      await db.updateRecord(recordId, { clientId });
+    }
+
+    let serverSubmission = null;
+    if (record.serverCreateAttemptedAt) {
+      serverSubmission = await api.findSubmissionByClientId(clientId);
+    }
+
+    if (!serverSubmission) {
+      await db.updateRecord(recordId, { serverCreateAttemptedAt: new Date().toISOString() });
+      try {
+        serverSubmission = await api.createSubmission({
+          title: record.title,
+          description: record.description,
+          clientId
+        });
+      } catch (error) {
+        // 409: the server already has this clientId
+        if (!(error instanceof api.ApiError && error.status === 409)) {
+          throw error;
+        }
+        serverSubmission = await api.findSubmissionByClientId(clientId);
+      }
+    }
+
+    // A replayed create may not echo the submission back
+    let serverId = getServerId(serverSubmission);
+    if (!serverId) {
+      serverId = getServerId(await api.findSubmissionByClientId(clientId));
+    }
+    if (!serverId) {
+      throw new Error('Server did not return a submission ID');
+    }
+
+    await db.updateRecord(recordId, {
+      serverId,
+      ...(await acceptedServerState(recordId, conflicts.pickValues(record), serverSubmission))
+    });
+    return serverId;
+  })();
+
+  pendingServerCreates.set(recordId, promise);
   try {
-    // Convert ArrayBuffer back to File
-    const file = db.arrayBufferToFile(
-      queueItem.fileData,
-      queueItem.fileName,
-      queueItem.fileType
-    );
+    return await promise;
+  } finally {
+    pendingServerCreates.delete(recordId);
+  }
+}
 
-    // Update status to uploading
-    await db.updateQueueItem(queueItem.id, {
-      status: 'uploading',
-      attempts: queueItem.attempts + 1,
-      uploadProgress: 0,
-      bytesUploaded: 0
+/**
+ * Sync a single queue item
+ */
+async function syncQueueItem(pendingItem) {
+  // Claim the item (status -> uploading, attempts + 1) atomically; another
+  // tab or the service worker may already have taken it. Progress is kept
+  // so a resumed chunked upload continues from what the server acknowledged.
+  if (await isUploadsPaused() || !isOnline()) {
+    return { success: false, skipped: true, itemId: pendingItem.id };
+  }
+
+  const queueItem = await db.claimQueueItem(pendingItem.id, CONTEXT_ID, LEASE_DURATION);
+  if (!queueItem) {
+    return { success: false, skipped: true, itemId: pendingItem.id };
+  }
+
+  // Pause/Cancel abort the requests in flight
+  const controller = new AbortController();
+  const { signal } = controller;
+  activeUploads.set(queueItem.id, controller);
+
+  // Heartbeat: keep the lease alive while the upload runs
+  const heartbeat = setInterval(() => {
+    db.renewLease(queueItem.id, CONTEXT_ID, LEASE_DURATION).then(renewed => {
+      if (!renewed) {
+        console.warn(`Lost lease on queue item ${queueItem.id}`);
+      }
+    }).catch(error => {
+      console.error('Error renewing lease:', error);
     });
+  }, LEASE_RENEW_INTERVAL);
+
+  try {
+    // File backed by the stored chunks - not read into memory
+    const file = await db.getQueueItemFile(queueItem);
+
+    // Items queued before idempotency keys existed get one, persisted
+    // before the first request so every retry sends the same key
+    let { idempotencyKey } = queueItem;
+    if (!idempotencyKey) {
+      idempotencyKey = utils.generateId();
+      await db.updateQueueItem(queueItem.id, { idempotencyKey });
+    }
+
+    // Items queued without a hash (before hashing existed, or it failed) are
+    // hashed once, in the hash worker, and keep it for every later attempt
+    let { contentHash } = queueItem;
+    if (!contentHash) {
+      contentHash = await hashFile(file);
+      if (contentHash) {
+        await db.updateQueueItem(queueItem.id, { contentHash });
+      }
+    }
+
+    // The submission must exist on the server before its media can attach
+    const serverSubmissionId = await ensureServerSubmission(queueItem.submissionId);
+    signal.throwIfAborted();
 
     // Determine if we should use chunked upload
     const useChunked = queueItem.useChunked || api.shouldUseChunkedUpload(file);
 
     // Upload to API
+    let uploadResponse;
     if (useChunked) {
       const progressCallback = createProgressCallback(queueItem.id);
-      await api.uploadMediaChunked(queueItem.submissionId, file, progressCallback);
+      uploadResponse = await api.uploadMediaChunked(serverSubmissionId, file, progressCallback, {
+        session: queueItem.uploadSession,
+        onSessionUpdate: (uploadSession) => db.updateQueueItem(queueItem.id, { uploadSession }),
+        idempotencyKey,
+        contentHash,
+        signal
+      });
     } else {
       // Simple upload with progress simulation
-      await api.uploadMedia(queueItem.submissionId, file);
+      uploadResponse = await api.uploadMedia(serverSubmissionId, file, {
+        idempotencyKey,
+        contentHash,
+        signal
+      });
       await db.updateQueueItem(queueItem.id, {
         uploadProgress: 100,
         bytesUploaded: file.size
@@ -166,7 +974,17 @@ async function syncQueueItem(queueItem) {
     await db.updateQueueItem(queueItem.id, {
       status: 'synced',
       syncedAt: new Date().toISOString(),
-      uploadProgress: 100
+      serverMediaId: getServerMediaId(uploadResponse), // for removing the file later
+      uploadProgress: 100,
+      uploadSession: null,
+      nextAttemptAt: null,
+      leaseExpiresAt: null,
+      controlRequest: null,
+      error: null,
+      errorReason: null,
+      errorStatus: null,
+      errorDetails: null,
+      permanentFailure: false
     });
 
     // Update record sync status if all media for this submission are synced
@@ -174,78 +992,551 @@ async function syncQueueItem(queueItem) {
 
     return { success: true, itemId: queueItem.id };
   } catch (error) {
+    // Stopped by the user: apply the requested pause/cancel, or go back to
+    // pending when all uploads were paused. Not counted as an attempt.
+    const current = await db.getQueueItem(queueItem.id);
+    if (signal.aborted || (current && current.controlRequest)) {
+      console.log(`Upload of queue item ${queueItem.id} stopped`);
+      if (current) {
+        await db.updateQueueItem(queueItem.id, {
+          status: 'pending',
+          ...current.controlRequest,
+          attempts: queueItem.attempts - 1,
+          leaseExpiresAt: null,
+          controlRequest: null
+        });
+      }
+      return { success: false, skipped: true, itemId: queueItem.id };
+    }
+
     console.error(`Error syncing queue item ${queueItem.id}:`, error);
 
-    const newAttempts = queueItem.attempts + 1;
-    const shouldRetry = newAttempts < queueItem.maxAttempts;
+    const failure = classifyError(error);
+
+    // The connection went away (or turned out to be a captive portal): not
+    // the item's fault, so put it back without counting the attempt
+    if (failure.reason === 'network_error') {
+      await connectivity.check();
+      if (!isOnline()) {
+        await db.updateQueueItem(queueItem.id, {
+          status: 'pending',
+          attempts: queueItem.attempts - 1,
+          leaseExpiresAt: null,
+          error: error.message,
+          errorReason: failure.reason,
+          errorStatus: null,
+          lastAttemptAt: new Date().toISOString()
+        });
+        return { success: false, skipped: true, offline: true, itemId: queueItem.id };
+      }
+    }
+
+    // Logged out: put the item back untouched until the user signs in
+    if (failure.paused) {
+      await db.updateQueueItem(queueItem.id, {
+        status: 'pending',
+        attempts: queueItem.attempts - 1,
+        leaseExpiresAt: null,
+        error: error.message,
+        errorReason: failure.reason,
+        errorStatus: failure.status,
+        lastAttemptAt: new Date().toISOString()
+      });
+      return { success: false, itemId: queueItem.id, error, shouldRetry: true, paused: true };
+    }
 
+    const newAttempts = queueItem.attempts;
+    const shouldRetry = failure.retryable && newAttempts < queueItem.maxAttempts;
+
+    // Wait at least as long as the server asked (Retry-After)
+    const delay = Math.max(utils.computeBackoffDelay(newAttempts), failure.retryAfter || 0);
+    const nextAttemptAt = shouldRetry ? new Date(Date.now() + delay).toISOString() : null;
+
+    // Keep uploadSession and progress so the next attempt resumes, unless
+    // the server's copy is corrupt: then a retry starts over with new keys,
+    // or the server would replay the corrupt result
+    const restart = error instanceof api.IntegrityError
+      ? { uploadSession: null, uploadProgress: 0, bytesUploaded: 0, idempotencyKey: utils.generateId() }
+      : {};
     await db.updateQueueItem(queueItem.id, {
       status: shouldRetry ? 'pending' : 'failed',
       attempts: newAttempts,
+      leaseExpiresAt: null,
+      nextAttemptAt,
       error: error.message,
+      errorReason: failure.reason,
+      errorStatus: failure.status,
+      errorDetails: error instanceof api.ApiError ? error.body
+        : error instanceof api.IntegrityError ? { expected: error.expected, actual: error.actual } : null,
+      permanentFailure: !failure.retryable,
       lastAttemptAt: new Date().toISOString(),
-      uploadProgress: 0
+      ...restart
     });
 
     return { success: false, itemId: queueItem.id, error, shouldRetry };
+  } finally {
+    clearInterval(heartbeat);
+    activeUploads.delete(queueItem.id);
   }
 }
 
 /**
- * Check if all media for a submission are synced, update record accordingly
+ * Check if the submission is on the server with all its media synced, update
+ * record accordingly
  */
 async function checkAndUpdateRecordSyncStatus(submissionId) {
+  const record = await db.getRecord(submissionId);
   const queueItems = await db.getQueueItemsBySubmissionId(submissionId);
   const allSynced = queueItems.every(item => item.status === 'synced');
   
-  if (allSynced) {
+  if (record && record.serverId && allSynced) {
     await db.updateRecord(submissionId, { synced: true });
   }
 }
 
+/**
+ * Add an operation to the outbox
+ * A waiting (or failed) update of the same submission is reused instead: it
+ * sends the record's values as they are when it runs.
+ * @param {string} type - An OPERATION_TYPES value
+ * @param {Object} payload - What the operation needs once the record may be
+ *   gone (serverId, clientId, ...) and a `title` for the queue list
+ */
+async function enqueueOperation(type, submissionId, payload) {
+  if (type === OPERATION_TYPES.UPDATE) {
+    const waiting = (await db.getOperationsBySubmissionId(submissionId)).find(op =>
+      op.type === type && (op.status === 'pending' || op.status === 'failed')
+    );
+    if (waiting) {
+      // A new edit is a new request: it must not replay the previous edit's key
+      await db.updateOperation(waiting.id, {
+        payload,
+        idempotencyKey: utils.generateId(),
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: null,
+        error: null,
+        errorReason: null,
+        errorStatus: null,
+        permanentFailure: false
+      });
+      scheduleBackgroundSync();
+      return waiting.id;
+    }
+  }
+
+  const id = await db.addOperation({ type, submissionId, payload });
+  scheduleBackgroundSync();
+  return id;
+}
+
+/**
+ * Send one operation to the server
+ * Operations of deleted records (other than the delete) have nothing left to send.
+ */
+async function executeOperation(operation) {
+  const { type, submissionId, payload, idempotencyKey } = operation;
+
+  switch (type) {
+    case OPERATION_TYPES.CREATE:
+      if (await db.getRecord(submissionId)) {
+        await ensureServerSubmission(submissionId);
+        await checkAndUpdateRecordSyncStatus(submissionId);
+      }
+      break;
+    case OPERATION_TYPES.UPDATE:
+      if (await db.getRecord(submissionId)) {
+        await sendRecordEdit(submissionId, { idempotencyKey });
+      }
+      break;
+    case OPERATION_TYPES.DELETE: {
+      const serverId = payload.serverId ||
+        (payload.clientId && getServerId(await api.findSubmissionByClientId(payload.clientId)));
+      if (serverId) {
+        await deleteOnServer(() => api.deleteSubmission(serverId, { idempotencyKey: `${idempotencyKey}:delete` }));
+      }
+      break;
+    }
+    case OPERATION_TYPES.DELETE_MEDIA:
+      await deleteOnServer(() => api.deleteMedia(payload.serverId, payload.serverMediaId, {
+        idempotencyKey: `${idempotencyKey}:delete-media`
+      }));
+      break;
+    default:
+      throw new Error(`Unknown operation type: ${type}`);
+  }
+}
+
+/**
+ * Run one operation, with the same retry policy as uploads (classifyError)
+ * Done operations are removed from the outbox.
+ */
+async function runOperation(operation) {
+  const attempts = operation.attempts + 1;
+  // Operations stored before they had keys get one now, kept for later retries
+  const idempotencyKey = operation.idempotencyKey || utils.generateId();
+  await db.updateOperation(operation.id, { status: 'running', attempts, idempotencyKey });
+
+  try {
+    await executeOperation({ ...operation, idempotencyKey });
+    await db.deleteOperation(operation.id);
+    return { success: true, operationId: operation.id };
+  } catch (error) {
+    console.error(`Error running ${operation.type} operation ${operation.id}:`, error);
+
+    const failure = classifyError(error);
+
+    // Offline or logged out: put it back without counting the attempt
+    if (failure.reason === 'network_error') {
+      await connectivity.check();
+    }
+    if (failure.paused || (failure.reason === 'network_error' && !isOnline())) {
+      await db.updateOperation(operation.id, {
+        status: 'pending',
+        attempts: operation.attempts,
+        error: error.message,
+        errorReason: failure.reason,
+        errorStatus: failure.status,
+        lastAttemptAt: new Date().toISOString()
+      });
+      return { success: false, skipped: true, offline: !failure.paused, paused: failure.paused, operationId: operation.id };
+    }
+
+    const shouldRetry = failure.retryable && attempts < operation.maxAttempts;
+    const delay = Math.max(utils.computeBackoffDelay(attempts), failure.retryAfter || 0);
+
+    await db.updateOperation(operation.id, {
+      status: shouldRetry ? 'pending' : 'failed',
+      nextAttemptAt: shouldRetry ? new Date(Date.now() + delay).toISOString() : null,
+      error: error.message,
+      errorReason: failure.reason,
+      errorStatus: failure.status,
+      errorDetails: error instanceof api.ApiError ? error.body : null,
+      permanentFailure: !failure.retryable,
+      lastAttemptAt: new Date().toISOString()
+    });
+    return { success: false, shouldRetry, operationId: operation.id };
+  }
+}
+
+/**
+ * Next operation to run: the first due one not tried yet in this run
+ * Operations of one submission run in the order they were added, so each
+ * waits while an earlier one of its submission is outstanding (an update
+ * waits for the create, and for a failed create until it is retried).
+ */
+async function getNextOperation(attempted) {
+  const operations = await db.getAllOperations();
+  const now = Date.now();
+  const seenSubmissions = new Set();
+
+  for (const operation of operations) {
+    const isFirst = !seenSubmissions.has(operation.submissionId);
+    seenSubmissions.add(operation.submissionId);
+
+    const isDue = !operation.nextAttemptAt || new Date(operation.nextAttemptAt).getTime() <= now;
+    if (isFirst && operation.status === 'pending' && isDue && !attempted.has(operation.id)) {
+      return operation;
+    }
+  }
+  return null;
+}
+
+/**
+ * Run operations until none is runnable (while holding the operations lock)
+ */
+async function drainOperations() {
+  // Only the lock holder runs operations, so a running one was interrupted
+  const operations = await db.getAllOperations();
+  for (const operation of operations.filter(op => op.status === 'running')) {
+    await db.updateOperation(operation.id, { status: 'pending' });
+  }
+
+  let done = 0;
+  let failed = 0;
+  const attempted = new Set();
+
+  let operation = await getNextOperation(attempted);
+  while (operation) {
+    attempted.add(operation.id);
+    const outcome = await runOperation(operation);
+    if (outcome.success) {
+      done++;
+    } else if (!outcome.skipped) {
+      failed++;
+    }
+    if (outcome.offline || outcome.paused) {
+      break;
+    }
+    operation = await getNextOperation(attempted);
+  }
+
+  if (done + failed > 0) {
+    console.log(`Operations: ${done} sent, ${failed} failed`);
+    notifyRecordsChange();
+  }
+  return { done, failed };
+}
+
+/**
+ * Replay the outbox if the API is reachable and the user is signed in
+ * Not held back by "pause all" or the sync policy: operations are small.
+ * @returns {Promise<{done: number, failed: number}>}
+ */
+async function runOperations() {
+  if (!isOnline() || !(await auth.canSync())) {
+    return { done: 0, failed: 0 };
+  }
+
+  const { acquired, result } = await tryWithLock(OPERATIONS_LOCK_NAME, drainOperations);
+  return acquired ? result : { done: 0, failed: 0 };
+}
+
+/**
+ * Retry one failed operation now, with a fresh attempt budget
+ */
+export async function retryOperation(id) {
+  const operation = await db.getOperation(id);
+  if (!operation || operation.status !== 'failed') {
+    return;
+  }
+
+  await db.updateOperation(id, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: null,
+    error: null,
+    errorReason: null,
+    errorStatus: null,
+    errorDetails: null,
+    permanentFailure: false
+  });
+  scheduleBackgroundSync();
+  if (isOnline()) {
+    syncQueue();
+  }
+}
+
+/**
+ * Give up on a failed operation; its change stays on this device only
+ * A discarded edit lets the next pull bring in the server's values.
+ */
+export async function discardOperation(id) {
+  const operation = await db.getOperation(id);
+  if (!operation || operation.status !== 'failed') {
+    return;
+  }
+
+  await db.deleteOperation(id);
+  if (operation.type === OPERATION_TYPES.UPDATE && await db.getRecord(operation.submissionId)) {
+    await db.updateRecord(operation.submissionId, { editPending: false });
+  }
+  notifyRecordsChange();
+}
+
 /**
  * Sync all pending queue items
+ * Only one tab (or the service worker) syncs at a time; the others return
+ * immediately and show the syncing context's status via the broadcast channel.
+ * The outbox runs first (creates before their media) and again at the end
+ * (operations added meanwhile), also while uploads are paused.
  */
 export async function syncQueue() {
+  if (syncInProgress) {
+    console.log('Sync already in progress');
+    return { synced: 0, failed: 0 };
+  }
+
+  // navigator.onLine is also true behind captive portals, so ask the API.
+  // An unreachable result is always re-checked (e.g. after a portal sign-in).
+  await connectivity.check({ maxAge: isOnline() ? CONNECTIVITY_MAX_AGE : 0 });
   if (!isOnline()) {
-    console.log('Offline - cannot sync queue');
+    console.log(`Offline (${connectivity.getState()}) - cannot sync queue`);
     return { synced: 0, failed: 0 };
   }
 
-  if (syncStatus === SYNC_STATUS.SYNCING) {
-    console.log('Sync already in progress');
+  // Uploads wait (rather than fail) while signed out
+  if (!(await auth.canSync())) {
+    console.log('Not signed in - sync paused');
+    notifySyncStatusChange(SYNC_STATUS.AUTH_REQUIRED);
     return { synced: 0, failed: 0 };
   }
 
+  syncInProgress = true;
+  try {
+    const operationsBefore = await runOperations();
+
+    if (await isUploadsPaused()) {
+      console.log('Uploads paused');
+      notifySyncStatusChange(SYNC_STATUS.PAUSED);
+      return { synced: 0, failed: 0 };
+    }
+
+    const { acquired, result } = await tryWithLock(SYNC_LOCK_NAME, drainQueue);
+    if (!acquired) {
+      console.log('Another tab or the service worker is syncing');
+      return { synced: 0, failed: 0 };
+    }
+
+    // Then send operations added meanwhile and bring in what changed on the server (throttled)
+    try {
+      const operationsAfter = await runOperations();
+      if (operationsBefore.failed + operationsAfter.failed > 0 && result.failed === 0) {
+        notifySyncStatusChange(SYNC_STATUS.ERROR);
+      }
+      await pullSubmissions();
+    } catch (error) {
+      console.error('Error pulling submissions:', error);
+    }
+    return result;
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+/**
+ * Pull submissions changed on the server into the local records (pull.js)
+ * Runs after each sync at most once a minute; `force` pulls right away.
+ * @returns {Promise<Object|null>} { created, updated, deleted }, or null if skipped
+ */
+export async function pullSubmissions({ force = false } = {}) {
+  if (!isOnline()) {
+    return null;
+  }
+
+  const result = await pull.pullSubmissions({ force });
+  if (result && result.created + result.updated + result.deleted > 0) {
+    notifyRecordsChange();
+  }
+  return result;
+}
+
+/**
+ * Record on each item whether the sync policy holds it back
+ * @returns {Promise<Array>} The items that may upload now
+ */
+async function applySyncPolicy(items) {
+  const evaluation = await policy.evaluate();
+  const uploadable = [];
+
+  for (const item of items) {
+    const waitingFor = policy.getWaitReason(item, evaluation);
+    if ((item.waitingFor || null) !== waitingFor) {
+      await db.updateQueueItem(item.id, { waitingFor });
+    }
+    if (!waitingFor) {
+      uploadable.push(item);
+    }
+  }
+
+  return uploadable;
+}
+
+/**
+ * Leave out items whose submission still has a create operation in the
+ * outbox (backing off or failed): they would only repeat the failing create
+ */
+async function withoutUncreatedSubmissions(items) {
+  const operations = await db.getAllOperations();
+  const uncreated = new Set(operations
+    .filter(op => op.type === OPERATION_TYPES.CREATE)
+    .map(op => op.submissionId));
+  return items.filter(item => !uncreated.has(item.submissionId));
+}
+
+/**
+ * Upload pending items until none are left (runs while holding the sync lock)
+ */
+async function drainQueue() {
   notifySyncStatusChange(SYNC_STATUS.SYNCING);
 
   try {
-    const pendingItems = await db.getPendingQueueItems();
-    
+    // Hand back items whose owner died mid-upload (tab closed, worker killed)
+    const recovered = await db.recoverExpiredLeases();
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} interrupted uploads`);
+    }
+
+    let pendingItems = await withoutUncreatedSubmissions(await db.getPendingQueueItems());
+
     if (pendingItems.length === 0) {
       notifySyncStatusChange(SYNC_STATUS.SUCCESS);
+      await scheduleRetryWakeup();
       return { synced: 0, failed: 0 };
     }
 
-    console.log(`Syncing ${pendingItems.length} queue items...`);
+    let synced = 0;
+    let failed = 0;
+    let waiting = 0;
+    let paused = false;
+    let pausedByUser = false;
+    let lostConnection = false;
+    const attempted = new Set();
 
-    // Process items with exponential backoff between retries
-    const results = await Promise.allSettled(
-      pendingItems.map((item, index) => {
-        // Stagger requests slightly to avoid overwhelming the server
-        const delay = index * 100;
-        return new Promise(resolve => {
-          setTimeout(() => {
-            syncQueueItem(item).then(resolve).catch(resolve);
-          }, delay);
+    // Keep draining until no new items show up (items enqueued while syncing
+    // join the next pass; items already attempted wait for the next sync)
+    while (pendingItems.length > 0) {
+      pendingItems.forEach(item => attempted.add(item.id));
+
+      // Large files may have to wait for Wi-Fi, everything for the charger
+      const uploadable = await applySyncPolicy(pendingItems);
+      waiting += pendingItems.length - uploadable.length;
+
+      if (uploadable.length > 0) {
+        console.log(`Syncing ${uploadable.length} queue items (max ${maxConcurrentUploads} concurrent)...`);
+
+        const results = await runScheduled(uploadable, syncQueueItem, {
+          maxConcurrent: maxConcurrentUploads
         });
-      })
-    );
 
-    const synced = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    const failed = results.length - synced;
+        // Items claimed by another context count as neither synced nor failed
+        const values = results.map(r => (r.status === 'fulfilled' ? r.value : { success: false }));
+        const outcomes = values.filter(outcome => !outcome.skipped);
+        const passSynced = outcomes.filter(outcome => outcome.success).length;
+        synced += passSynced;
+        failed += outcomes.length - passSynced;
+
+        // Lost the connection mid-sync: wait for the monitor to see it back
+        if (values.some(outcome => outcome.offline)) {
+          lostConnection = true;
+          break;
+        }
+
+        // The session ended mid-sync: stop until the user signs in again
+        if (outcomes.some(outcome => outcome.paused) && !(await auth.canSync())) {
+          paused = true;
+          break;
+        }
+
+        // "Pause all" was switched on mid-sync
+        if (await isUploadsPaused()) {
+          pausedByUser = true;
+          break;
+        }
+      }
 
-    notifySyncStatusChange(failed === 0 ? SYNC_STATUS.SUCCESS : SYNC_STATUS.ERROR);
+      pendingItems = (await withoutUncreatedSubmissions(await db.getPendingQueueItems()))
+        .filter(item => !attempted.has(item.id));
+    }
+
+    if (paused) {
+      notifySyncStatusChange(SYNC_STATUS.AUTH_REQUIRED);
+    } else if (pausedByUser) {
+      notifySyncStatusChange(SYNC_STATUS.PAUSED);
+    } else if (lostConnection) {
+      notifySyncStatusChange(SYNC_STATUS.IDLE);
+    } else if (waiting > 0 && failed === 0) {
+      console.log(`${waiting} uploads waiting for a better connection or battery`);
+      notifySyncStatusChange(SYNC_STATUS.WAITING);
+    } else {
+      notifySyncStatusChange(failed === 0 ? SYNC_STATUS.SUCCESS : SYNC_STATUS.ERROR);
+    }
+
+    // Retries are due later; let the service worker pick them up if the tab closes
+    if (failed > 0) {
+      scheduleBackgroundSync();
+    }
+    await scheduleRetryWakeup();
 
     return { synced, failed };
   } catch (error) {
@@ -255,39 +1546,243 @@ export async function syncQueue() {
   }
 }
 
+/**
+ * Arm a timer that runs syncQueue() when the earliest backed-off item is due
+ */
+async function scheduleRetryWakeup() {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+
+  const nextRetryTime = await db.getNextRetryTime();
+  if (nextRetryTime === null) {
+    return;
+  }
+
+  const delay = Math.min(MAX_TIMER_DELAY, Math.max(1000, nextRetryTime - Date.now()));
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    if (isOnline()) {
+      console.log('Retry backoff elapsed - triggering sync');
+      syncQueue();
+    }
+  }, delay);
+}
+
+/**
+ * Pin or unpin a queue item so it uploads ahead of others
+ */
+export async function pinQueueItem(id, pinned = true) {
+  await db.updateQueueItem(id, { pinned });
+}
+
+/**
+ * Abort an upload running in this context
+ * @returns {boolean} false if this context is not uploading the item
+ */
+function abortLocalUpload(id) {
+  const controller = activeUploads.get(id);
+  if (!controller) {
+    return false;
+  }
+  controller.abort();
+  return true;
+}
+
+/**
+ * Put an item into a user-requested state, stopping its upload if one is
+ * running here or in another tab / the service worker
+ */
+async function requestItemState(id, updates) {
+  const outcome = await db.requestQueueItemStatus(id, updates);
+  if (outcome === 'requested' && !abortLocalUpload(id)) {
+    broadcastSyncMessage({ type: 'abort', itemId: id });
+  }
+  return outcome;
+}
+
+/**
+ * Pause one item; an upload in flight stops and later resumes from its
+ * persisted session
+ */
+export async function pauseQueueItem(id) {
+  await requestItemState(id, { status: 'paused' });
+}
+
+/**
+ * Cancel one item; the local file is kept so it can be retried (or removed
+ * from the submission), the server-side upload session is abandoned
+ */
+export async function cancelQueueItem(id) {
+  await requestItemState(id, {
+    status: 'cancelled',
+    uploadSession: null,
+    uploadProgress: 0,
+    bytesUploaded: 0
+  });
+}
+
+/**
+ * Resume a paused item
+ */
+export async function resumeQueueItem(id) {
+  const item = await db.getQueueItem(id);
+  if (!item || item.status !== 'paused') {
+    return;
+  }
+
+  await db.updateQueueItem(id, { status: 'pending', nextAttemptAt: null });
+  scheduleBackgroundSync();
+  if (isOnline()) {
+    syncQueue();
+  }
+}
+
+/**
+ * Retry one failed or cancelled item now, with a fresh attempt budget
+ */
+export async function retryQueueItem(id) {
+  const item = await db.getQueueItem(id);
+  if (!item || (item.status !== 'failed' && item.status !== 'cancelled')) {
+    return;
+  }
+
+  await db.updateQueueItem(id, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: null,
+    error: null,
+    errorReason: null,
+    errorStatus: null,
+    errorDetails: null,
+    permanentFailure: false
+  });
+  scheduleBackgroundSync();
+  if (isOnline()) {
+    syncQueue();
+  }
+}
+
+/**
+ * Whether the "pause all uploads" switch is on
+ */
+export async function isUploadsPaused() {
+  return Boolean(await db.getSetting(UPLOADS_PAUSED_SETTING));
+}
+
+/**
+ * Switch "pause all uploads" on or off
+ * Pausing stops uploads in flight in every tab and the service worker; the
+ * items go back to pending (and resume from their sessions) when switched off.
+ */
+export async function setUploadsPaused(paused) {
+  await db.setSetting(UPLOADS_PAUSED_SETTING, paused);
+
+  if (paused) {
+    activeUploads.forEach((_, id) => abortLocalUpload(id));
+    broadcastSyncMessage({ type: 'pause-all' });
+    notifySyncStatusChange(SYNC_STATUS.PAUSED);
+    return;
+  }
+
+  notifySyncStatusChange(SYNC_STATUS.IDLE);
+  scheduleBackgroundSync();
+  if (isOnline()) {
+    syncQueue();
+  }
+}
+
+/**
+ * Current policy outcome ({ blockedReason, allowLarge, network, battery })
+ */
+export function getSyncPolicyState() {
+  return policy.evaluate();
+}
+
+/**
+ * Get the network / battery sync preferences
+ */
+export function getSyncPolicy() {
+  return policy.getPreferences();
+}
+
+/**
+ * Change the sync preferences and re-run the queue under them
+ * @returns {Promise<Object>} The full preferences after the change
+ */
+export async function setSyncPolicy(preferences) {
+  const updated = await policy.setPreferences(preferences);
+  if (isOnline()) {
+    syncQueue();
+  }
+  return updated;
+}
+
 /**
  * Get sync statistics
  */
 export async function getSyncStats() {
   const queueItems = await db.getAllQueueItems();
+  const operations = await db.getAllOperations();
   
   return {
     total: queueItems.length,
     pending: queueItems.filter(i => i.status === 'pending').length,
     uploading: queueItems.filter(i => i.status === 'uploading').length,
     synced: queueItems.filter(i => i.status === 'synced').length,
-    failed: queueItems.filter(i => i.status === 'failed').length
+    failed: queueItems.filter(i => i.status === 'failed').length,
+    paused: queueItems.filter(i => i.status === 'paused').length,
+    cancelled: queueItems.filter(i => i.status === 'cancelled').length,
+    waiting: queueItems.filter(i => i.status === 'pending' && i.waitingFor).length,
+    operations: operations.filter(op => op.status !== 'failed').length,
+    operationsFailed: operations.filter(op => op.status === 'failed').length
   };
 }
 
 /**
- * Retry failed items
+ * Retry failed items and operations
  */
 export async function retryFailedItems() {
   const allItems = await db.getAllQueueItems();
   const failedItems = allItems.filter(
     item => item.status === 'failed' && item.attempts < item.maxAttempts
   );
+  const failedOperations = (await db.getAllOperations()).filter(
+    op => op.status === 'failed' && op.attempts < op.maxAttempts
+  );
 
   // Reset status to pending
   await Promise.all(
     failedItems.map(item =>
-      db.updateQueueItem(item.id, { status: 'pending', error: null })
+      db.updateQueueItem(item.id, {
+        status: 'pending',
+        error: null,
+        errorReason: null,
+        errorStatus: null,
+        errorDetails: null,
+        permanentFailure: false,
+        nextAttemptAt: null
+      })
+    )
+  );
+
+  await Promise.all(
+    failedOperations.map(op =>
+      db.updateOperation(op.id, {
+        status: 'pending',
+        error: null,
+        errorReason: null,
+        errorStatus: null,
+        errorDetails: null,
+        permanentFailure: false,
+        nextAttemptAt: null
+      })
     )
   );
 
   // Trigger sync
-  if (failedItems.length > 0 && isOnline()) {
+  if (failedItems.length + failedOperations.length > 0 && isOnline()) {
     return syncQueue();
   }
 
@@ -298,23 +1793,66 @@ export async function retryFailedItems() {
  * Initialize sync listeners
  */
 export function initSync() {
-  // Listen for online/offline events
-  window.addEventListener('online', () => {
-    console.log('Back online - triggering sync');
-    syncQueue();
+  // Sync when the API becomes reachable again (probed on online/offline
+  // events and periodically, so captive portals and dead hotspots don't count)
+  connectivity.onConnectivityChange((state, previous) => {
+    const wasReachable = previous === connectivity.CONNECTIVITY.ONLINE ||
+      previous === connectivity.CONNECTIVITY.DEGRADED;
+    const wasUnreachable = previous === connectivity.CONNECTIVITY.OFFLINE ||
+      previous === connectivity.CONNECTIVITY.CAPTIVE;
+    if (isOnline() && wasUnreachable) {
+      console.log('Back online - triggering sync');
+      syncQueue();
+    } else if (isOnline() && !wasReachable) {
+      // First probe after startup: catch up with changes from other devices
+      pullSubmissions().catch(error => {
+        console.error('Error pulling submissions:', error);
+      });
+    } else if (!isOnline() && wasReachable) {
+      console.log(`Gone offline (${state})`);
+      notifySyncStatusChange(SYNC_STATUS.IDLE);
+    }
   });
+  connectivity.startMonitoring();
+
+  // Pick up the state of a sync already running in another tab or the service worker
+  broadcastSyncMessage({ type: 'status-request' });
 
-  window.addEventListener('offline', () => {
-    console.log('Gone offline');
-    notifySyncStatusChange(SYNC_STATUS.IDLE);
+  // Signing in resumes paused uploads
+  auth.onAuthChange((tokens) => {
+    if (!tokens && auth.AUTH_REQUIRED) {
+      notifySyncStatusChange(SYNC_STATUS.AUTH_REQUIRED);
+    } else if (tokens && syncStatus === SYNC_STATUS.AUTH_REQUIRED && isOnline()) {
+      console.log('Signed in - resuming sync');
+      syncQueue();
+    }
   });
 
-  // Listen for Background Sync events (if supported)
-  if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
-    navigator.serviceWorker.ready.then(registration => {
-      // Background sync will be handled by the service worker
-      // This is just for UI updates
-    });
-  }
-}
+  // Joining Wi-Fi or plugging in releases uploads held back by the policy
+  policy.onConditionsChange(() => {
+    if (syncStatus === SYNC_STATUS.WAITING && isOnline()) {
+      console.log('Network or battery changed - re-checking waiting uploads');
+      syncQueue();
+    }
+  });
+
+  // Items left 'uploading' by a crashed or closed tab go back to pending
+  // once their lease runs out; then resume backoff timers and Background Sync
+  db.recoverExpiredLeases().then(recovered => {
+    if (recovered > 0) {
+      console.log(`Recovered ${recovered} interrupted uploads`);
+    }
+    return scheduleRetryWakeup();
+  }).catch(error => {
+    console.error('Error recovering interrupted uploads:', error);
+  });
 
+  // Items left over from a previous session get a Background Sync too
+  db.getPendingQueueItems({ includeDeferred: true }).then(items => {
+    if (items.length > 0) {
+      scheduleBackgroundSync();
+    }
+  }).catch(error => {
+    console.error('Error checking pending items:', error);
+  });
+}
@@ -0,0 +1,104 @@
+/**
+ * Thumbnails - Small JPEG previews generated when media is queued
+ *
+ * Images are decoded and scaled down on a canvas; videos get a poster frame
+ * grabbed by seeking a hidden <video>. Runs in the page only (needs the DOM).
+ */
+
+/**
+ * Longest edge of a thumbnail in pixels (2x the 100px list preview)
+ */
+const THUMBNAIL_SIZE = 200;
+const THUMBNAIL_QUALITY = 0.7;
+
+/**
+ * Poster frame position in seconds (clamped to half the duration for short clips)
+ */
+const POSTER_TIME = 1;
+
+/**
+ * Give up on videos the browser cannot decode
+ */
+const VIDEO_TIMEOUT = 10000;
+
+/**
+ * Draw a source scaled down and encode it as JPEG
+ * @returns {Promise<Blob|null>}
+ */
+function drawThumbnail(source, width, height) {
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', THUMBNAIL_QUALITY));
+}
+
+async function createImageThumbnail(file) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  try {
+    return await drawThumbnail(bitmap, bitmap.width, bitmap.height);
+  } finally {
+    bitmap.close();
+  }
+}
+
+function createVideoThumbnail(file) {
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    const url = URL.createObjectURL(file);
+    const timer = setTimeout(() => finish(null, new Error('Timed out loading video')), VIDEO_TIMEOUT);
+
+    function finish(blob, error) {
+      clearTimeout(timer);
+      video.removeAttribute('src');
+      video.load();
+      URL.revokeObjectURL(url);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(blob);
+      }
+    }
+
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+
+    video.addEventListener('loadedmetadata', () => {
+      video.currentTime = Math.min(POSTER_TIME, (video.duration || 0) / 2);
+    }, { once: true });
+
+    video.addEventListener('seeked', () => {
+      drawThumbnail(video, video.videoWidth, video.videoHeight)
+        .then(blob => finish(blob))
+        .catch(error => finish(null, error));
+    }, { once: true });
+
+    video.addEventListener('error', () => {
+      finish(null, new Error('Could not decode video'));
+    }, { once: true });
+
+    video.src = url;
+  });
+}
+
+/**
+ * Create a thumbnail for a photo or video
+ * @param {File} file
+ * @returns {Promise<Blob|null>} null for other types or when decoding fails
+ */
+export async function createThumbnail(file) {
+  try {
+    if (file.type.startsWith('image/')) {
+      return await createImageThumbnail(file);
+    }
+    if (file.type.startsWith('video/')) {
+      return await createVideoThumbnail(file);
+    }
+  } catch (error) {
+    console.error(`Error creating thumbnail for ${file.name}:`, error);
+  }
+  return null;
+}
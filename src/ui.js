@@ -2,6 +2,7 @@
  * UI Module - Handles all UI interactions and updates
  * 
  * Manages:
+ * - Sign in / sign out
  * - Connection status display
  * - Sync status display
  * - Submission form
@@ -11,15 +12,26 @@
 
 import * as db from './db.js';
 import * as sync from './sync.js';
+import * as auth from './auth.js';
+import * as media from './media.js';
+import * as connectivity from './connectivity.js';
+import * as conflicts from './conflicts.js';
 
 
 /**
  * Initialize UI
  */
 export function initUI() {
+  setupAuth();
   setupConnectionStatus();
   setupSubmissionForm();
   setupSyncButton();
+  setupRefreshSubmissions();
+  setupPauseAllToggle();
+  setupSyncPolicyForm();
+  setupQueueActions();
+  setupLightbox();
+  setupSubmissionDetail();
   setupSyncStatusListener();
   setupProgressListener();
   loadSubmissions();
@@ -29,25 +41,83 @@ export function initUI() {
   setInterval(loadQueue, 2000); // More frequent for progress updates
 }
 
+/**
+ * Setup sign in / sign out
+ */
+function setupAuth() {
+  const loginForm = document.getElementById('login-form');
+  const loginBtn = document.getElementById('login-btn');
+  const accountInfo = document.getElementById('account-info');
+  const accountName = document.getElementById('account-name');
+  const logoutBtn = document.getElementById('logout-btn');
+  const wipeCheckbox = document.getElementById('logout-wipe');
+
+  async function render() {
+    const user = await auth.getCurrentUser();
+    loginForm.hidden = Boolean(user);
+    accountInfo.hidden = !user;
+    if (user) {
+      accountName.textContent = user.email || user.name || 'current user';
+    }
+  }
+
+  loginForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    loginBtn.disabled = true;
+    loginBtn.textContent = 'Signing in...';
+
+    try {
+      await auth.login(
+        document.getElementById('login-email').value,
+        document.getElementById('login-password').value
+      );
+      loginForm.reset();
+    } catch (error) {
+      console.error('Error signing in:', error);
+      alert('Error signing in: ' + error.message);
+    } finally {
+      loginBtn.disabled = false;
+      loginBtn.textContent = 'Sign In';
+    }
+  });
+
+  logoutBtn.addEventListener('click', async () => {
+    const wipeData = wipeCheckbox.checked;
+    if (wipeData && !confirm('Delete all submissions and queued uploads on this device? Unsynced media will be lost.')) {
+      return;
+    }
+
+    logoutBtn.disabled = true;
+    try {
+      await auth.logout({ wipeData });
+      wipeCheckbox.checked = false;
+      loadSubmissions();
+      loadQueue();
+    } catch (error) {
+      console.error('Error signing out:', error);
+      alert('Error signing out: ' + error.message);
+    } finally {
+      logoutBtn.disabled = false;
+    }
+  });
+
+  auth.onAuthChange(render);
+  render();
+}
+
 /**
  * Setup connection status indicator
  */
 function setupConnectionStatus() {
   const statusText = document.getElementById('status-text');
   
-  function updateStatus() {
-    if (navigator.onLine) {
-      statusText.textContent = 'Online';
-      statusText.className = 'online';
-    } else {
-      statusText.textContent = 'Offline';
-      statusText.className = 'offline';
-    }
+  function updateStatus(state) {
+    statusText.textContent = CONNECTIVITY_LABELS[state] || CONNECTIVITY_LABELS.unknown;
+    statusText.className = state;
   }
 
-  updateStatus();
-  window.addEventListener('online', updateStatus);
-  window.addEventListener('offline', updateStatus);
+  updateStatus(connectivity.getState());
+  connectivity.onConnectivityChange(updateStatus);
 }
 
 /**
@@ -71,6 +141,18 @@ function setupSyncStatusListener() {
       }, 500);
     } else if (status === 'error') {
       syncBadge.textContent = 'Error';
+    } else if (status === 'auth_required') {
+      syncBadge.textContent = 'Sign in to sync';
+    } else if (status === 'paused') {
+      syncBadge.textContent = 'Uploads paused';
+    } else if (status === 'waiting') {
+      syncBadge.textContent = 'Waiting...';
+      sync.getSyncPolicyState().then(state => {
+        if (syncBadge.classList.contains('waiting')) {
+          syncBadge.textContent = state.blockedReason === 'battery' ? 'Low battery' : 'Waiting for Wi-Fi';
+        }
+      });
+      loadQueue();
     } else {
       syncBadge.textContent = '';
     }
@@ -130,19 +212,23 @@ function setupSubmissionForm() {
     const description = document.getElementById('description').value;
     const mediaFiles = document.getElementById('media-files').files;
     
-    if (!title || mediaFiles.length === 0) {
-      alert('Please provide a title and at least one media file');
+    if (!title) {
+      alert('Please provide a title');
       return;
     }
 
     submitBtn.disabled = true;
-    submitBtn.textContent = 'Creating...';
+    submitBtn.textContent = 'Processing...';
 
     try {
+      // Downscale photos before they are stored
+      const preparedFiles = await media.prepareMediaFiles(Array.from(mediaFiles));
+      submitBtn.textContent = 'Creating...';
+
       const submissionData = {
         title,
         description,
-        mediaFiles: Array.from(mediaFiles)
+        mediaFiles: preparedFiles
       };
 
       await sync.enqueueSubmission(submissionData);
@@ -170,6 +256,103 @@ function setupSubmissionForm() {
   });
 }
 
+/**
+ * Setup the "Refresh" button (pull submissions from the server) and reload
+ * the list whenever a pull changes records
+ */
+function setupRefreshSubmissions() {
+  const refreshBtn = document.getElementById('refresh-submissions-btn');
+
+  refreshBtn.addEventListener('click', async () => {
+    if (!sync.isOnline()) {
+      alert('You are offline. Submissions from the server will appear when you reconnect.');
+      return;
+    }
+
+    refreshBtn.disabled = true;
+    refreshBtn.textContent = 'Refreshing...';
+    try {
+      await sync.pullSubmissions({ force: true });
+      loadSubmissions();
+    } catch (error) {
+      console.error('Error refreshing submissions:', error);
+      alert('Could not load submissions from the server: ' + error.message);
+    } finally {
+      refreshBtn.disabled = false;
+      refreshBtn.textContent = 'Refresh';
+    }
+  });
+
+  sync.onRecordsChange(async () => {
+    loadSubmissions();
+    if (detailRecordId !== null) {
+      renderSubmissionDetailFiles();
+      const record = await db.getRecord(detailRecordId);
+      if (record) {
+        renderSubmissionConflict(record);
+      }
+    }
+  });
+}
+
+/**
+ * Setup the "pause all uploads" switch
+ */
+function setupPauseAllToggle() {
+  const toggle = document.getElementById('pause-all-toggle');
+
+  const refresh = () => sync.isUploadsPaused().then(paused => {
+    toggle.checked = paused;
+  });
+  refresh();
+
+  toggle.addEventListener('change', async () => {
+    toggle.disabled = true;
+    try {
+      await sync.setUploadsPaused(toggle.checked);
+      loadQueue();
+    } catch (error) {
+      console.error('Error changing pause state:', error);
+      toggle.checked = !toggle.checked;
+    } finally {
+      toggle.disabled = false;
+    }
+  });
+
+  // Another tab may flip the switch
+  sync.onSyncStatusChange(refresh);
+}
+
+/**
+ * Setup the network / battery upload preferences
+ */
+function setupSyncPolicyForm() {
+  const form = document.getElementById('sync-policy-form');
+  const wifiOnly = document.getElementById('policy-wifi-only');
+  const dataSaver = document.getElementById('policy-data-saver');
+  const minBattery = document.getElementById('policy-min-battery');
+
+  sync.getSyncPolicy().then(preferences => {
+    wifiOnly.checked = preferences.wifiOnlyForLarge;
+    dataSaver.checked = preferences.respectDataSaver;
+    minBattery.value = String(preferences.minBatteryLevel);
+  });
+
+  form.addEventListener('change', async () => {
+    try {
+      await sync.setSyncPolicy({
+        wifiOnlyForLarge: wifiOnly.checked,
+        respectDataSaver: dataSaver.checked,
+        minBatteryLevel: parseFloat(minBattery.value) || 0
+      });
+      loadQueue();
+    } catch (error) {
+      console.error('Error saving upload settings:', error);
+      alert('Failed to save upload settings');
+    }
+  });
+}
+
 /**
  * Setup sync button
  */
@@ -195,6 +378,176 @@ function setupSyncButton() {
   });
 }
 
+/**
+ * Setup per-item queue actions (delegated, since the list is re-rendered)
+ */
+function setupQueueActions() {
+  const queueList = document.getElementById('queue-list');
+
+  queueList.addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const id = Number(button.dataset.id);
+    button.disabled = true;
+
+    try {
+      switch (button.dataset.action) {
+        case 'pin':
+          await sync.pinQueueItem(id, true);
+          break;
+        case 'unpin':
+          await sync.pinQueueItem(id, false);
+          break;
+        case 'pause':
+          await sync.pauseQueueItem(id);
+          break;
+        case 'resume':
+          await sync.resumeQueueItem(id);
+          break;
+        case 'cancel':
+          if (!confirm('Cancel this upload? The file stays on this device and can be retried.')) {
+            button.disabled = false;
+            return;
+          }
+          await sync.cancelQueueItem(id);
+          break;
+        case 'retry':
+          await sync.retryQueueItem(id);
+          break;
+        case 'retry-operation':
+          await sync.retryOperation(id);
+          break;
+        case 'discard-operation':
+          if (!confirm('Discard this change? It stays on this device only; the server copy is not changed.')) {
+            button.disabled = false;
+            return;
+          }
+          await sync.discardOperation(id);
+          break;
+      }
+      loadQueue();
+    } catch (error) {
+      console.error('Error updating queue item:', error);
+      alert('Error updating queue item: ' + error.message);
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * Setup the lightbox for viewing the full local copy of a file
+ */
+function setupLightbox() {
+  const lightbox = document.getElementById('lightbox');
+
+  ['submissions-list', 'detail-files'].forEach(containerId => {
+    document.getElementById(containerId).addEventListener('click', async (e) => {
+      const thumb = e.target.closest('.media-thumb');
+      if (!thumb) return;
+
+      try {
+        await openLightbox(Number(thumb.dataset.recordId), Number(thumb.dataset.fileIndex));
+      } catch (error) {
+        console.error('Error opening media:', error);
+        alert('Error opening media: ' + error.message);
+      }
+    });
+  });
+
+  document.getElementById('lightbox-close').addEventListener('click', closeLightbox);
+  lightbox.addEventListener('click', (e) => {
+    if (e.target === lightbox) closeLightbox();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !lightbox.hidden) closeLightbox();
+  });
+}
+
+/**
+ * Object URL of the media shown in the lightbox
+ */
+let lightboxUrl = null;
+
+async function openLightbox(recordId, fileIndex) {
+  const record = await db.getRecord(recordId);
+  const file = record && record.mediaFiles[fileIndex];
+  if (!file) return;
+
+  const queueItem = sync.findQueueItemForFile(await db.getQueueItemsBySubmissionId(recordId), file);
+
+  // Files pulled from the server are only on the server
+  const remoteUrl = !queueItem && file.url && sync.isOnline() ? file.url : null;
+  if (!queueItem && !remoteUrl) {
+    alert(file.url
+      ? 'This file is on the server. Go online to view it.'
+      : 'The local copy of this file is no longer on this device.');
+    return;
+  }
+
+  closeLightbox();
+  let src = remoteUrl;
+  if (queueItem) {
+    lightboxUrl = URL.createObjectURL(await db.getQueueItemFile(queueItem));
+    src = lightboxUrl;
+  }
+
+  // Built as elements: a server URL must not be parsed as HTML
+  const element = document.createElement(file.type.startsWith('video/') ? 'video' : 'img');
+  element.src = src;
+  if (element.tagName === 'VIDEO') {
+    element.controls = true;
+    element.autoplay = true;
+    element.playsInline = true;
+  } else {
+    element.alt = file.name;
+  }
+  document.getElementById('lightbox-content').replaceChildren(element);
+  document.getElementById('lightbox-caption').textContent =
+    `${file.name} (${formatFileSize(queueItem ? queueItem.fileSize : file.size)})`;
+  document.getElementById('lightbox').hidden = false;
+}
+
+function closeLightbox() {
+  document.getElementById('lightbox').hidden = true;
+  document.getElementById('lightbox-content').innerHTML = '';
+  if (lightboxUrl) {
+    URL.revokeObjectURL(lightboxUrl);
+    lightboxUrl = null;
+  }
+}
+
+/**
+ * Object URLs of the thumbnails currently rendered; revoked when the list
+ * is rendered again
+ */
+let thumbnailUrls = [];
+
+/**
+ * Render the preview tile for one file of a record
+ */
+async function renderMediaThumb(record, file, index, urls) {
+  let url = null;
+  if (file.thumbnailBlobId) {
+    try {
+      url = URL.createObjectURL(await db.getBlob(file.thumbnailBlobId, 'image/jpeg'));
+      urls.push(url);
+    } catch (error) {
+      console.error('Error loading thumbnail:', error);
+    }
+  }
+
+  const isVideo = file.type.startsWith('video/');
+  const placeholder = isVideo ? '🎬' : file.type.startsWith('image/') ? '📷' : '📄';
+
+  return `
+    <button type="button" class="media-thumb" data-record-id="${record.id}" data-file-index="${index}" title="${escapeHtml(file.name)}">
+      ${url ? `<img src="${url}" alt="${escapeHtml(file.name)}" />` : `<span class="media-thumb-placeholder">${placeholder}</span>`}
+      ${isVideo ? '<span class="media-thumb-badge">▶</span>' : ''}
+    </button>
+  `;
+}
+
 /**
  * Load and display submissions
  */
@@ -206,31 +559,34 @@ export async function loadSubmissions() {
     
     if (records.length === 0) {
       list.innerHTML = '<p class="empty-state">No submissions yet. Create one above!</p>';
+      replaceThumbnailUrls([]);
       return;
     }
 
-    list.innerHTML = records.map(record => {
-      const mediaPreviews = record.mediaFiles.map(file => {
-        if (file.type.startsWith('image/')) {
-          return `<img src="data:${file.type};base64," alt="${file.name}" />`;
-        } else if (file.type.startsWith('video/')) {
-          return `<video><source src="data:${file.type};base64," /></video>`;
-        }
-        return '';
-      }).join('');
+    const urls = [];
+    const previews = await Promise.all(records.map(record =>
+      Promise.all(record.mediaFiles.map((file, index) => renderMediaThumb(record, file, index, urls)))
+    ));
+
+    list.innerHTML = records.map((record, recordIndex) => {
+      const mediaPreviews = previews[recordIndex].join('');
 
       return `
         <div class="submission-item">
-          <h3>${escapeHtml(record.title)}</h3>
+          <div class="submission-header">
+            <h3>${escapeHtml(record.title)}</h3>
+            <button class="secondary small" data-action="details" data-record-id="${record.id}">Details</button>
+          </div>
           <p>${escapeHtml(record.description || '')}</p>
           <div class="submission-meta">
             <span>Created: ${new Date(record.createdAt).toLocaleString()}</span>
-            <span>Status: ${record.synced ? '✓ Synced' : '⏳ Pending'}</span>
+            <span>Status: ${record.deletedOnServer ? '🗑️ Deleted on server' : record.conflict ? '⚠️ Conflict' : record.synced ? '✓ Synced' : '⏳ Pending'}</span>
           </div>
           ${mediaPreviews ? `<div class="media-preview">${mediaPreviews}</div>` : ''}
         </div>
       `;
     }).join('');
+    replaceThumbnailUrls(urls);
   } catch (error) {
     console.error('Error loading submissions:', error);
     list.innerHTML = '<p class="empty-state">Error loading submissions</p>';
@@ -238,7 +594,426 @@ export async function loadSubmissions() {
 }
 
 /**
- * Load and display sync queue
+ * Revoke the previous render's thumbnail URLs once they are off screen
+ */
+function replaceThumbnailUrls(urls) {
+  thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+  thumbnailUrls = urls;
+}
+
+/**
+ * Record shown in the detail view, or null when it is closed
+ */
+let detailRecordId = null;
+
+/**
+ * Thumbnail URLs rendered in the detail view
+ */
+let detailThumbnailUrls = [];
+
+/**
+ * Sections hidden while the detail view is open
+ */
+const LIST_SECTION_IDS = ['upload-section', 'submissions-section', 'sync-queue-section'];
+
+/**
+ * Labels of the fields shown in the conflict panel
+ */
+const CONFLICT_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description'
+};
+
+/**
+ * Setup the submission detail view (edit, resolve conflicts, add/remove files, delete)
+ */
+function setupSubmissionDetail() {
+  const form = document.getElementById('detail-form');
+  const saveBtn = document.getElementById('detail-save-btn');
+  const conflictForm = document.getElementById('detail-conflict');
+  const resolveBtn = document.getElementById('detail-resolve-btn');
+  const addInput = document.getElementById('detail-add-input');
+  const addBtn = document.getElementById('detail-add-btn');
+  const deleteBtn = document.getElementById('detail-delete-btn');
+
+  document.getElementById('submissions-list').addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="details"]');
+    if (!button) return;
+
+    try {
+      await openSubmissionDetail(Number(button.dataset.recordId));
+    } catch (error) {
+      console.error('Error opening submission:', error);
+      alert('Error opening submission: ' + error.message);
+    }
+  });
+
+  document.getElementById('detail-back-btn').addEventListener('click', closeSubmissionDetail);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    saveBtn.disabled = true;
+
+    try {
+      const result = await sync.updateSubmission(detailRecordId, {
+        title: document.getElementById('detail-title').value,
+        description: document.getElementById('detail-description').value
+      });
+
+      if (result.conflict) {
+        alert('Saved on this device, but this submission was also changed elsewhere. Choose what to keep.');
+        renderSubmissionConflict(await db.getRecord(detailRecordId));
+      } else if (result.serverError) {
+        alert('Saved on this device, but the server copy was not updated: ' + result.serverError.message);
+      } else if (!result.serverUpdated) {
+        alert('Saved on this device. The server copy will be updated on the next sync.');
+      } else {
+        alert('Changes saved.');
+      }
+      loadSubmissions();
+    } catch (error) {
+      console.error('Error saving submission:', error);
+      alert('Error saving submission: ' + error.message);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  // "Merge" shows an editable combination of both values
+  conflictForm.addEventListener('change', (e) => {
+    const field = e.target.closest('.conflict-field');
+    if (!field || e.target.type !== 'radio') return;
+    field.querySelector('textarea').hidden = e.target.value !== 'merge';
+  });
+
+  conflictForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    resolveBtn.disabled = true;
+
+    try {
+      const record = await db.getRecord(detailRecordId);
+      const values = {};
+      record.conflict.fields.forEach(field => {
+        const choice = conflictForm.querySelector(`input[name="conflict-${field}"]:checked`).value;
+        if (choice === 'theirs') {
+          values[field] = record.conflict.serverValues[field];
+        } else if (choice === 'merge') {
+          values[field] = conflictForm.querySelector(`textarea[name="merge-${field}"]`).value;
+        } else {
+          values[field] = record[field] || '';
+        }
+      });
+
+      const result = await sync.resolveConflict(detailRecordId, values);
+      const resolved = await db.getRecord(detailRecordId);
+      document.getElementById('detail-title').value = resolved.title;
+      document.getElementById('detail-description').value = resolved.description || '';
+      renderSubmissionConflict(resolved);
+
+      if (result.conflict) {
+        alert('The submission changed again on the server. Please choose again.');
+      } else if (result.serverError) {
+        alert('Resolved on this device, but the server copy was not updated: ' + result.serverError.message);
+      } else if (!result.serverUpdated) {
+        alert('Resolved on this device. The server copy will be updated on the next sync.');
+      } else {
+        alert('Conflict resolved.');
+      }
+      loadSubmissions();
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      alert('Error resolving conflict: ' + error.message);
+    } finally {
+      resolveBtn.disabled = false;
+    }
+  });
+
+  document.getElementById('detail-files').addEventListener('click', async (e) => {
+    const button = e.target.closest('button[data-action="remove-file"]');
+    if (!button) return;
+
+    const index = Number(button.dataset.index);
+    const record = await db.getRecord(detailRecordId);
+    const file = record && record.mediaFiles[index];
+    if (!file || !confirm(`Remove ${file.name} from this submission?`)) {
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      await sync.removeMediaFromSubmission(detailRecordId, index);
+      await renderSubmissionDetailFiles();
+      loadSubmissions();
+      loadQueue();
+    } catch (error) {
+      console.error('Error removing file:', error);
+      alert('Error removing file: ' + error.message);
+      button.disabled = false;
+    }
+  });
+
+  addBtn.addEventListener('click', async () => {
+    const files = Array.from(addInput.files);
+    if (files.length === 0) {
+      alert('Choose one or more files to add');
+      return;
+    }
+
+    addBtn.disabled = true;
+    addBtn.textContent = 'Processing...';
+    try {
+      const duplicates = await sync.addMediaToSubmission(detailRecordId, await media.prepareMediaFiles(files));
+      addInput.value = '';
+      await renderSubmissionDetailFiles();
+      loadSubmissions();
+      loadQueue();
+      if (duplicates > 0) {
+        alert(`${duplicates} file(s) skipped: already in this submission`);
+      }
+    } catch (error) {
+      console.error('Error adding files:', error);
+      alert('Error adding files: ' + error.message);
+    } finally {
+      addBtn.disabled = false;
+      addBtn.textContent = 'Add Files';
+    }
+  });
+
+  deleteBtn.addEventListener('click', async () => {
+    if (!confirm('Delete this submission and all of its files, on this device and on the server?')) {
+      return;
+    }
+
+    deleteBtn.disabled = true;
+    try {
+      await sync.deleteSubmission(detailRecordId);
+      closeSubmissionDetail();
+      loadSubmissions();
+      loadQueue();
+    } catch (error) {
+      console.error('Error deleting submission:', error);
+      alert('Error deleting submission: ' + error.message);
+    } finally {
+      deleteBtn.disabled = false;
+    }
+  });
+}
+
+async function openSubmissionDetail(recordId) {
+  const record = await db.getRecord(recordId);
+  if (!record) return;
+
+  detailRecordId = recordId;
+  document.getElementById('detail-title').value = record.title;
+  document.getElementById('detail-description').value = record.description || '';
+  renderSubmissionConflict(record);
+  await renderSubmissionDetailFiles();
+
+  LIST_SECTION_IDS.forEach(id => { document.getElementById(id).hidden = true; });
+  document.getElementById('detail-section').hidden = false;
+  window.scrollTo(0, 0);
+}
+
+function closeSubmissionDetail() {
+  detailRecordId = null;
+  document.getElementById('detail-section').hidden = true;
+  renderSubmissionConflict({});
+  LIST_SECTION_IDS.forEach(id => { document.getElementById(id).hidden = false; });
+
+  document.getElementById('detail-files').innerHTML = '';
+  detailThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+  detailThumbnailUrls = [];
+}
+
+/**
+ * Show the open submission's edit conflict: mine, theirs or merge per field
+ * Left alone while the same conflict is shown, so choices are not reset.
+ */
+function renderSubmissionConflict(record) {
+  const panel = document.getElementById('detail-conflict');
+  const container = document.getElementById('detail-conflict-fields');
+  const conflict = record.conflict;
+
+  panel.hidden = !conflict;
+  if (!conflict) {
+    delete panel.dataset.detectedAt;
+    container.innerHTML = '';
+    return;
+  }
+  if (panel.dataset.detectedAt === conflict.detectedAt) {
+    return;
+  }
+  panel.dataset.detectedAt = conflict.detectedAt;
+
+  const renderValue = value => value
+    ? `<span class="conflict-value">${escapeHtml(value)}</span>`
+    : '<em>(empty)</em>';
+
+  container.innerHTML = conflict.fields.map(field => {
+    const mine = record[field] || '';
+    const theirs = conflict.serverValues[field];
+    return `
+      <div class="form-group conflict-field">
+        <label>${CONFLICT_FIELD_LABELS[field] || field}</label>
+        <label class="checkbox-label">
+          <input type="radio" name="conflict-${field}" value="mine" checked> Keep mine: ${renderValue(mine)}
+        </label>
+        <label class="checkbox-label">
+          <input type="radio" name="conflict-${field}" value="theirs"> Keep theirs: ${renderValue(theirs)}
+        </label>
+        <label class="checkbox-label">
+          <input type="radio" name="conflict-${field}" value="merge"> Merge
+        </label>
+        <textarea name="merge-${field}" rows="${field === 'title' ? 1 : 3}" hidden>${escapeHtml(conflicts.mergeValues(field, mine, theirs))}</textarea>
+      </div>
+    `;
+  }).join('') || '<p>The server copy changed while saving. Resolve to send your changes again.</p>';
+}
+
+/**
+ * Render the file list of the open submission with each file's upload status
+ */
+async function renderSubmissionDetailFiles() {
+  const container = document.getElementById('detail-files');
+  const record = await db.getRecord(detailRecordId);
+  const queueItems = await db.getQueueItemsBySubmissionId(detailRecordId);
+
+  const urls = [];
+  const rows = await Promise.all(record.mediaFiles.map(async (file, index) => {
+    const queueItem = sync.findQueueItemForFile(queueItems, file);
+    const statusBadge = queueItem
+      ? `<span class="sync-badge ${queueItem.status}">${QUEUE_STATUS_LABELS[queueItem.status] || queueItem.status}</span>`
+      : '';
+
+    return `
+      <div class="queue-item detail-file">
+        ${await renderMediaThumb(record, file, index, urls)}
+        <div class="queue-item-info">
+          <strong>${escapeHtml(file.name)}</strong>
+          <div style="font-size: 0.875rem; color: #666; margin-top: 0.25rem;">
+            ${formatFileSize(file.size)}
+          </div>
+        </div>
+        <div class="queue-item-status">
+          ${statusBadge}
+          <div class="queue-item-actions">
+            <button class="danger small" data-action="remove-file" data-index="${index}">Remove</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }));
+
+  container.innerHTML = rows.join('') || '<p class="empty-state">No files</p>';
+  detailThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+  detailThumbnailUrls = urls;
+}
+
+/**
+ * Badge text per queue item status
+ */
+const QUEUE_STATUS_LABELS = {
+  pending: '⏳ Pending',
+  uploading: '⬆️ Uploading',
+  synced: '✓ Synced',
+  failed: '❌ Failed',
+  paused: '⏸️ Paused',
+  cancelled: '🚫 Cancelled'
+};
+
+/**
+ * Header labels per connectivity.js state
+ */
+const CONNECTIVITY_LABELS = {
+  unknown: 'Checking connection...',
+  online: 'Online',
+  degraded: 'Slow connection',
+  captive: 'Wi-Fi sign-in required',
+  offline: 'Offline'
+};
+
+/**
+ * Labels for pending items the sync policy holds back (item.waitingFor)
+ */
+const QUEUE_WAIT_LABELS = {
+  wifi: '📶 Waiting for Wi-Fi',
+  battery: '🔋 Waiting for charge'
+};
+
+/**
+ * Buttons offered per queue item status
+ */
+const QUEUE_ITEM_ACTIONS = {
+  pending: ['pin', 'pause', 'cancel'],
+  uploading: ['pause', 'cancel'],
+  paused: ['resume', 'cancel'],
+  failed: ['retry', 'cancel'],
+  cancelled: ['retry']
+};
+
+const QUEUE_ACTION_BUTTONS = {
+  'retry-operation': { label: 'Retry', style: 'secondary' },
+  'discard-operation': { label: 'Discard', style: 'danger' },
+  pin: { label: '📌 Pin', style: 'secondary' },
+  unpin: { label: 'Unpin', style: 'secondary' },
+  pause: { label: 'Pause', style: 'secondary' },
+  resume: { label: 'Resume', style: 'secondary' },
+  retry: { label: 'Retry', style: 'secondary' },
+  cancel: { label: 'Cancel', style: 'danger' }
+};
+
+/**
+ * Outbox operations in the queue list
+ */
+const OPERATION_LABELS = {
+  create: 'Create',
+  update: 'Update',
+  delete: 'Delete',
+  'delete-media': 'Remove file'
+};
+
+const OPERATION_STATUS_LABELS = {
+  pending: '⏳ Pending',
+  running: '⬆️ Sending',
+  failed: '❌ Failed'
+};
+
+function renderOperation(operation) {
+  const { payload } = operation;
+  const subject = operation.type === 'delete-media'
+    ? `${payload.fileName || 'file'} from ${payload.title || 'submission'}`
+    : payload.title || 'submission';
+
+  const retryInfo = operation.status === 'pending' && operation.nextAttemptAt && new Date(operation.nextAttemptAt) > new Date()
+    ? ` • Next retry: ${new Date(operation.nextAttemptAt).toLocaleTimeString()}`
+    : '';
+
+  const actionButtons = operation.status === 'failed'
+    ? ['retry-operation', 'discard-operation'].map(action => {
+      const { label, style } = QUEUE_ACTION_BUTTONS[action];
+      return `<button class="${style} small" data-action="${action}" data-id="${operation.id}">${label}</button>`;
+    }).join('')
+    : '';
+
+  return `
+    <div class="queue-item">
+      <div class="queue-item-info">
+        <strong>${OPERATION_LABELS[operation.type] || operation.type}: ${escapeHtml(subject)}</strong>
+        <div style="font-size: 0.875rem; color: #666; margin-top: 0.25rem;">
+          Attempts: ${operation.attempts}/${operation.maxAttempts}${retryInfo}
+          ${operation.error ? ` • Error: ${escapeHtml(describeFailure(operation))}` : ''}
+        </div>
+      </div>
+      <div class="queue-item-status">
+        <span class="sync-badge ${operation.status === 'running' ? 'uploading' : operation.status}">${OPERATION_STATUS_LABELS[operation.status] || operation.status}</span>
+        ${actionButtons ? `<div class="queue-item-actions">${actionButtons}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Load and display sync queue (outbox operations first, then uploads)
  */
 export async function loadQueue() {
   const queueList = document.getElementById('queue-list');
@@ -246,35 +1021,33 @@ export async function loadQueue() {
   
   try {
     const stats = await sync.getSyncStats();
-    queueCount.textContent = stats.pending;
+    queueCount.textContent = stats.pending + stats.operations;
     
     const queueItems = await db.getAllQueueItems();
+    const operations = await db.getAllOperations();
     
-    if (queueItems.length === 0) {
+    if (queueItems.length === 0 && operations.length === 0) {
       queueList.innerHTML = '<p class="empty-state">No items in sync queue</p>';
       return;
     }
 
     // Sort by status and creation date
     queueItems.sort((a, b) => {
-      const statusOrder = { pending: 0, uploading: 1, synced: 2, failed: 3 };
+      const statusOrder = { uploading: 0, pending: 1, paused: 2, failed: 3, cancelled: 4, synced: 5 };
       if (statusOrder[a.status] !== statusOrder[b.status]) {
         return statusOrder[a.status] - statusOrder[b.status];
       }
       return new Date(a.createdAt) - new Date(b.createdAt);
     });
 
-    queueList.innerHTML = queueItems.map(item => {
-      const statusClass = item.status;
-      const statusText = {
-        pending: '⏳ Pending',
-        uploading: '⬆️ Uploading',
-        synced: '✓ Synced',
-        failed: '❌ Failed'
-      }[item.status] || item.status;
-
-      // Progress bar for uploading items
-      const progressBar = item.status === 'uploading' && item.uploadProgress !== undefined
+    queueList.innerHTML = operations.map(renderOperation).join('') + queueItems.map(item => {
+      const waitLabel = item.status === 'pending' && QUEUE_WAIT_LABELS[item.waitingFor];
+      const statusClass = waitLabel ? 'waiting' : item.status;
+      const statusText = waitLabel || QUEUE_STATUS_LABELS[item.status] || item.status;
+
+      // Progress bar for uploading items (and paused ones part-way through)
+      const showProgress = item.status === 'uploading' || (item.status === 'paused' && item.bytesUploaded > 0);
+      const progressBar = showProgress && item.uploadProgress !== undefined
         ? `
           <div style="margin-top: 0.5rem;">
             <div style="background: #e0e0e0; border-radius: 4px; height: 8px; overflow: hidden;">
@@ -287,19 +1060,32 @@ export async function loadQueue() {
         `
         : '';
 
+      const retryInfo = item.status === 'pending' && item.nextAttemptAt && new Date(item.nextAttemptAt) > new Date()
+        ? ` • Next retry: ${new Date(item.nextAttemptAt).toLocaleTimeString()}`
+        : '';
+
+      const actionButtons = (QUEUE_ITEM_ACTIONS[item.status] || []).map(action => {
+        if (action === 'pin' && item.pinned) {
+          action = 'unpin';
+        }
+        const { label, style } = QUEUE_ACTION_BUTTONS[action];
+        return `<button class="${style} small" data-action="${action}" data-id="${item.id}">${label}</button>`;
+      }).join('');
+
       return `
         <div class="queue-item">
           <div class="queue-item-info">
-            <strong>${escapeHtml(item.fileName)}</strong>
+            <strong>${item.pinned ? '📌 ' : ''}${escapeHtml(item.fileName)}</strong>
             <div style="font-size: 0.875rem; color: #666; margin-top: 0.25rem;">
-              ${formatFileSize(item.fileSize)}${item.useChunked ? ' • Chunked' : ''} • 
-              Attempts: ${item.attempts}/${item.maxAttempts}
-              ${item.error ? ` • Error: ${escapeHtml(item.error)}` : ''}
+              ${formatFileSize(item.fileSize)}${item.originalSize > item.fileSize ? ` (was ${formatFileSize(item.originalSize)})` : ''}${item.useChunked ? ' • Chunked' : ''} • 
+              Attempts: ${item.attempts}/${item.maxAttempts}${retryInfo}
+              ${item.error ? ` • Error: ${escapeHtml(describeFailure(item))}` : ''}
             </div>
             ${progressBar}
           </div>
           <div class="queue-item-status">
             <span class="sync-badge ${statusClass}">${statusText}</span>
+            ${actionButtons ? `<div class="queue-item-actions">${actionButtons}</div>` : ''}
           </div>
         </div>
       `;
@@ -314,19 +1100,40 @@ export async function loadQueue() {
  * Listen for upload progress events
  */
 function setupProgressListener() {
-  window.addEventListener('uploadProgress', () => {
+  sync.onUploadProgress(() => {
     // Refresh queue display when progress updates
     loadQueue();
   });
 }
 
+/**
+ * Human-readable failure text for a queue item
+ */
+function describeFailure(item) {
+  const reasons = {
+    payload_too_large: 'File is too large for the server',
+    unsupported_media_type: 'File type not accepted by the server',
+    validation_failed: 'Rejected by the server',
+    unauthorized: 'Not signed in',
+    forbidden: 'Not allowed',
+    rate_limited: 'Server busy, will retry',
+    service_unavailable: 'Server unavailable, will retry',
+    network_error: 'Network error, will retry',
+    integrity_mismatch: 'File was corrupted in transit, retry to upload it again'
+  };
+  const label = reasons[item.errorReason];
+  if (!label) return item.error;
+  return item.permanentFailure ? `${label}: ${item.error}` : label;
+}
+
 /**
  * Utility: Escape HTML
+ * Quotes are escaped too, so the result is safe inside attribute values.
  */
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 /**
@@ -64,3 +64,26 @@ export function handleQuotaError(error, context = '') {
   };
 }
 
+
+/**
+ * Compute retry delay with exponential backoff and jitter
+ * Uses "equal jitter": half the exponential delay is fixed, half is random,
+ * so retries spread out without ever collapsing to zero.
+ * @param {number} attempts - Attempts made so far (1 = first failure)
+ * @param {Object} [options] - { baseDelay, maxDelay } in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoffDelay(attempts, { baseDelay = 2000, maxDelay = 30 * 60 * 1000 } = {}) {
+  const exponential = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempts - 1)));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Generate a random unique identifier (UUID v4 where available)
+ */
+export function generateId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
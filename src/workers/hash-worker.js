@@ -0,0 +1,18 @@
+/**
+ * Hash Worker - SHA-256 of a file, computed off the main thread
+ *
+ * Message in:  { id, file }
+ * Message out: { id, hash } (lowercase hex) or { id, error }
+ */
+
+import { hashBlob } from '../sha256.js';
+
+self.addEventListener('message', async (event) => {
+  const { id, file } = event.data;
+
+  try {
+    self.postMessage({ id, hash: await hashBlob(file) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+});
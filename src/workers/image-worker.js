@@ -0,0 +1,29 @@
+/**
+ * Image Worker - Downscales and re-encodes images off the main thread
+ *
+ * Message in:  { id, file, maxDimension, quality, type }
+ * Message out: { id, blob, width, height } or { id, error }
+ */
+
+self.addEventListener('message', async (event) => {
+  const { id, file, maxDimension, quality, type } = event.data;
+
+  try {
+    // Applies the EXIF orientation so rotated photos stay upright
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const blob = await canvas.convertToBlob({ type, quality });
+    self.postMessage({ id, blob, width, height });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+});
@@ -9,7 +9,13 @@ export default defineConfig({
       srcDir: 'public',
       filename: 'service-worker.js',
       injectManifest: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,webmanifest}']
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,webmanifest}'],
+        // The worker imports app modules (src/sync.js); bundle to a classic script
+        rollupFormat: 'iife'
+      },
+      devOptions: {
+        enabled: true,
+        type: 'module'
       },
       // Ensure service worker works in production
       workbox: {